@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Prints the ffmpeg commands of a project saved from tool.html, built by the same
+// command core as the browser UI
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { normalizeProject, buildClipCommands, buildScript } from '../js/command-core.js';
+import { PROJECT_SCHEMA, migrateProject, findProjectProblems } from '../js/project-schema.js';
+
+const USAGE = `Usage: easyff <project.json> [options]
+       easyff --schema
+
+Prints the ffmpeg commands for every clip of an EasyFF project file.
+
+Options:
+  -c, --clip <name|number>  Only this clip, by name or position from 1 (repeatable)
+  -f, --format <id|name>    Only this output format, by id or name (repeatable)
+  -s, --script              Print a bash script instead of the bare commands
+  -o, --output <file>       Write to a file instead of standard output
+  -l, --list                List the clips and output formats and exit
+      --schema              Print the JSON Schema of project files and exit
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+    clip: { type: 'string', short: 'c', multiple: true },
+    format: { type: 'string', short: 'f', multiple: true },
+    script: { type: 'boolean', short: 's' },
+    output: { type: 'string', short: 'o' },
+    list: { type: 'boolean', short: 'l' },
+    schema: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function selectClips(clips, selectors) {
+    if (!selectors) return clips;
+
+    return selectors.map(selector => {
+        const position = /^\d+$/.test(selector) ? parseInt(selector) : NaN;
+        const clip = clips.find(c => c.name === selector) || clips[position - 1];
+        if (!clip) throw new Error(`No clip named or numbered "${selector}"`);
+        return clip;
+    });
+}
+
+function selectFormats(formats, selectors) {
+    if (!selectors) return null;
+
+    return selectors.map(selector => {
+        const format = formats.find(f => f.id === selector || f.name === selector);
+        if (!format) throw new Error(`No output format "${selector}"; the project has ${formats.map(f => f.id).join(', ')}`);
+        return format.id;
+    });
+}
+
+function describeProject({ settings, clips }) {
+    const lines = ['Clips:'];
+    clips.forEach((clip, index) => {
+        lines.push(`  ${index + 1}. ${clip.name} (${clip.scenes.length} scene${clip.scenes.length === 1 ? '' : 's'})`);
+    });
+    lines.push('Output formats:');
+    settings.outputFormats.forEach(format => {
+        const active = format.id === settings.activeFormat ? ' (active)' : '';
+        lines.push(`  ${format.id}: ${format.name} ${format.outDim}${active}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+
+    if (values.schema) {
+        process.stdout.write(JSON.stringify(PROJECT_SCHEMA, null, 2) + '\n');
+        return;
+    }
+
+    if (values.help || positionals.length !== 1) {
+        if (values.help) {
+            console.log(USAGE);
+        } else {
+            console.error(USAGE);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await readFile(positionals[0], 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read project ${positionals[0]}: ${error.message}`);
+    }
+
+    // Older files are upgraded the same way the editor upgrades them when they are opened
+    const migrated = migrateProject(data);
+    const problems = findProjectProblems(migrated);
+    if (problems.length > 0) {
+        throw new Error(`Invalid project ${positionals[0]}:\n${problems.map(p => `  ${p.path} ${p.message}`).join('\n')}`);
+    }
+
+    const project = normalizeProject(migrated);
+    let output;
+
+    if (values.list) {
+        output = describeProject(project);
+    } else {
+        const clips = selectClips(project.clips, values.clip).filter(clip => clip.scenes.length > 0);
+        const formatIds = selectFormats(project.settings.outputFormats, values.format);
+
+        output = values.script
+            ? buildScript(project.settings, clips, formatIds)
+            : clips.flatMap(clip => buildClipCommands(project.settings, clip, formatIds)).join('\n\n') + '\n';
+    }
+
+    if (values.output) {
+        await writeFile(values.output, output, { mode: values.script ? 0o755 : 0o644 });
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main().catch(error => {
+    console.error(`easyff: ${error.message}`);
+    process.exitCode = 1;
+});
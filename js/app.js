@@ -6,15 +6,46 @@ import { CommandGenerator } from './command-generator.js';
 import { ProjectManager } from './project-manager.js';
 import { ErrorHandler } from './error-handler.js';
 import { ValidationSetup } from './validation-setup.js';
+import { EncodingManager } from './encoding-manager.js';
+import { PresetManager } from './preset-manager.js';
+import { OutputFormatManager } from './output-formats.js';
+import { MediaBinManager } from './media-bin.js';
+import { HistoryManager } from './history-manager.js';
+import { AutosaveManager } from './autosave.js';
+import { ProjectModel } from './project-model.js';
+import { MediaLinkManager } from './media-links.js';
+import { RecentProjectsManager } from './recent-projects.js';
+import { TimelineManager } from './timeline.js';
+import { WaveformManager } from './waveform.js';
+import { ShotDetectionManager } from './shot-detection.js';
+import { AutoReframeManager } from './auto-reframe.js';
+import { ScenePreviewManager } from './scene-preview.js';
+import { OutputMonitorManager } from './output-monitor.js';
+import { BrowserRenderManager } from './browser-render.js';
 
 export class FFmpegToolApp {
     constructor() {
         this.validationSetup = new ValidationSetup();
-        this.commandGenerator = new CommandGenerator();
+        this.projectModel = new ProjectModel();
+        this.commandGenerator = new CommandGenerator(this.projectModel);
         this.videoPreview = new VideoPreviewManager();
-        this.sceneManager = new SceneManager(this.commandGenerator, this.videoPreview, this.validationSetup.inputValidator);
-        this.tabManager = new TabManager(this.sceneManager, this.commandGenerator);
-        this.projectManager = new ProjectManager(this.tabManager, this.videoPreview, this.commandGenerator);
+        this.historyManager = new HistoryManager();
+        this.encodingManager = new EncodingManager(this.projectModel, this.validationSetup.inputValidator);
+        this.sceneManager = new SceneManager(this.commandGenerator, this.videoPreview, this.validationSetup.inputValidator, this.historyManager, this.projectModel);
+        this.presetManager = new PresetManager(this.encodingManager, this.projectModel);
+        this.outputFormatManager = new OutputFormatManager(this.projectModel, this.sceneManager, this.videoPreview);
+        this.mediaBinManager = new MediaBinManager(this.projectModel, this.videoPreview);
+        this.tabManager = new TabManager(this.sceneManager, this.commandGenerator, this.encodingManager, this.historyManager, this.projectModel);
+        this.timeline = new TimelineManager(this.videoPreview, this.projectModel, this.sceneManager, this.tabManager, this.historyManager);
+        this.waveform = new WaveformManager(this.videoPreview, this.sceneManager, this.tabManager);
+        this.shotDetection = new ShotDetectionManager(this.videoPreview, this.sceneManager, this.tabManager);
+        this.autoReframe = new AutoReframeManager(this.videoPreview, this.historyManager);
+        this.scenePreview = new ScenePreviewManager(this.videoPreview);
+        this.outputMonitor = new OutputMonitorManager(this.videoPreview, this.projectModel, this.tabManager);
+        this.browserRender = new BrowserRenderManager(this.videoPreview, this.projectModel, this.tabManager);
+        this.mediaLinkManager = new MediaLinkManager(this.videoPreview, this.projectModel);
+        this.recentProjects = new RecentProjectsManager();
+        this.projectManager = new ProjectManager(this.tabManager, this.videoPreview, this.commandGenerator, this.encodingManager, this.presetManager, this.outputFormatManager, this.mediaBinManager, this.historyManager, this.projectModel, this.mediaLinkManager, this.recentProjects);
 
         this.init();
     }
@@ -22,6 +53,9 @@ export class FFmpegToolApp {
     init() {
         this.setupGlobalEventListeners();
         this.initializeDefaults();
+        this.historyManager.attach(this.projectManager, this.tabManager, this.videoPreview);
+        this.recentProjects.attach(this.projectManager);
+        this.autosaveManager = new AutosaveManager(this.projectManager, this.historyManager);
         
         // Initialize validation system after DOM is ready
         setTimeout(() => {
@@ -44,12 +78,64 @@ export class FFmpegToolApp {
                 ErrorHandler.safe(() => this.commandGenerator.downloadScript(), 'Failed to download script');
             });
 
+            document.querySelector('[data-action="render-clip"]')?.addEventListener('click', () => {
+                ErrorHandler.safeAsync(() => this.browserRender.renderClip(), 'Failed to render clip');
+            });
+
+            document.querySelector('[data-action="cancel-render"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.browserRender.cancelRender(), 'Failed to cancel rendering');
+            });
+
+            // Undo/redo buttons
+            document.querySelector('[data-action="undo"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.historyManager.undo(), 'Failed to undo');
+            });
+
+            document.querySelector('[data-action="redo"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.historyManager.redo(), 'Failed to redo');
+            });
+
+            // Platform preset buttons
+            document.querySelector('[data-action="save-preset"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.presetManager.saveCurrentAsPreset(), 'Failed to save preset');
+            });
+
+            document.querySelector('[data-action="remove-preset"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.presetManager.removeSelectedPreset(), 'Failed to remove preset');
+            });
+
+            document.querySelector('[data-action="import-presets"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.presetManager.importPresets(), 'Failed to import presets');
+            });
+
+            // Output format buttons
+            document.querySelector('[data-action="add-output-format"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.outputFormatManager.addFormat(), 'Failed to add output format');
+            });
+
+            document.querySelector('[data-action="remove-output-format"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.outputFormatManager.removeActiveFormat(), 'Failed to remove output format');
+            });
+
+            // Media bin buttons
+            document.querySelector('[data-action="add-source"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.mediaBinManager.addSource(), 'Failed to add source');
+            });
+
+            document.querySelector('[data-action="remove-source"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.mediaBinManager.removeActiveSource(), 'Failed to remove source');
+            });
+
             // Add tab button
             document.querySelector('[data-action="add-tab"]')?.addEventListener('click', () => {
                 ErrorHandler.safe(() => this.tabManager.addTab(), 'Failed to add new clip');
             });
 
             // Video control buttons
+            document.querySelector('[data-action="relink-videos"]')?.addEventListener('click', () => {
+                ErrorHandler.safeAsync(() => this.mediaLinkManager.relinkWaiting(), 'Failed to reconnect videos');
+            });
+
             document.querySelector('[data-action="step-frame-back-10"]')?.addEventListener('click', () => {
                 ErrorHandler.safe(() => this.videoPreview.stepFrame(-10), 'Failed to step video back');
             });
@@ -70,6 +156,15 @@ export class FFmpegToolApp {
                 ErrorHandler.safe(() => this.videoPreview.stepFrame(10), 'Failed to step video forward');
             });
 
+            // Timeline zoom buttons
+            document.querySelector('[data-action="timeline-zoom-in"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.timeline.zoomIn(), 'Failed to zoom timeline');
+            });
+
+            document.querySelector('[data-action="timeline-zoom-out"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.timeline.zoomOut(), 'Failed to zoom timeline');
+            });
+
             // Scene action buttons
             document.querySelector('[data-action="set-scene-start"]')?.addEventListener('click', () => {
                 ErrorHandler.safe(() => this.videoPreview.setSceneStart(), 'Failed to set scene start time');
@@ -91,10 +186,46 @@ export class FFmpegToolApp {
                 ErrorHandler.safe(() => this.videoPreview.setSceneCropEnd(), 'Failed to set scene end crop position');
             });
 
+            document.querySelector('[data-action="add-crop-keyframe"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.videoPreview.addCropKeyframe(), 'Failed to add crop keyframe');
+            });
+
+            document.querySelector('[data-action="remove-crop-keyframe"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.videoPreview.removeCropKeyframe(), 'Failed to remove crop keyframe');
+            });
+
+            document.querySelector('[data-action="auto-reframe"]')?.addEventListener('click', () => {
+                ErrorHandler.safeAsync(() => this.autoReframe.toggleReframe(), 'Failed to reframe scene');
+            });
+
+            document.querySelector('[data-action="preview-scene"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.scenePreview.toggleScenePreview(), 'Failed to preview scene');
+            });
+
+            document.querySelector('[data-action="play-clip"]')?.addEventListener('click', () => {
+                ErrorHandler.safeAsync(() => this.outputMonitor.toggleClipPlayback(), 'Failed to play clip');
+            });
+
             document.querySelector('[data-action="add-scene-from-preview"]')?.addEventListener('click', () => {
                 ErrorHandler.safe(() => this.sceneManager.addSceneFromPreview(this.tabManager.getActiveTab()), 'Failed to add scene from preview');
             });
 
+            document.querySelector('[data-action="load-waveform"]')?.addEventListener('click', () => {
+                ErrorHandler.safeAsync(() => this.waveform.loadAudio(), 'Failed to read the video\'s audio');
+            });
+
+            document.querySelector('[data-action="split-at-silences"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.waveform.splitAtSilences(), 'Failed to split clip at silences');
+            });
+
+            document.querySelector('[data-action="detect-shots"]')?.addEventListener('click', () => {
+                ErrorHandler.safeAsync(() => this.shotDetection.toggleDetection(), 'Failed to detect shots');
+            });
+
+            document.querySelector('[data-action="create-shot-scenes"]')?.addEventListener('click', () => {
+                ErrorHandler.safe(() => this.shotDetection.createShotScenes(), 'Failed to create scenes from shots');
+            });
+
             // Global error handler for unhandled errors
             window.addEventListener('error', (event) => {
                 console.error('Unhandled error:', event.error);
@@ -118,9 +249,18 @@ export class FFmpegToolApp {
         document.querySelector(DOM_ELEMENTS.inputName).value = DEFAULTS.INPUT_FILE;
         document.querySelector(DOM_ELEMENTS.inDim).value = DEFAULTS.INPUT_DIMENSIONS;
         document.querySelector(DOM_ELEMENTS.outDim).value = DEFAULTS.OUTPUT_DIMENSIONS;
+
+        // The fields' own listeners publish the values to the project model
+        [DOM_ELEMENTS.inputName, DOM_ELEMENTS.inDim, DOM_ELEMENTS.outDim].forEach(selector => {
+            document.querySelector(selector).dispatchEvent(new Event('input'));
+        });
     }
 
     // Public API methods for external access
+    getProjectModel() {
+        return this.projectModel;
+    }
+
     getVideoPreview() {
         return this.videoPreview;
     }
@@ -140,4 +280,28 @@ export class FFmpegToolApp {
     getProjectManager() {
         return this.projectManager;
     }
+
+    getEncodingManager() {
+        return this.encodingManager;
+    }
+
+    getPresetManager() {
+        return this.presetManager;
+    }
+
+    getOutputFormatManager() {
+        return this.outputFormatManager;
+    }
+
+    getMediaBinManager() {
+        return this.mediaBinManager;
+    }
+
+    getHistoryManager() {
+        return this.historyManager;
+    }
+
+    getAutosaveManager() {
+        return this.autosaveManager;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,165 @@
+import { DEFAULTS, DOM_ELEMENTS, FIT_MODES } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { parseDimensions, seekVideoTo } from './utils.js';
+import { getKeyframes, setKeyframes } from './keyframes.js';
+import { readFrame } from './shot-detection.js';
+
+// Centre { x, y } of what changed between two frames, as fractions of the frame, or null when
+// too little moved to tell. Differences under the noise floor are ignored
+export function findMotionCenter(a, b, width, height) {
+    let total = 0;
+    let sumX = 0;
+    let sumY = 0;
+    for (let i = 0; i < a.luma.length; i++) {
+        const weight = Math.abs(a.luma[i] - b.luma[i]) - DEFAULTS.REFRAME_NOISE;
+        if (weight <= 0) continue;
+        total += weight;
+        sumX += weight * (i % width);
+        sumY += weight * Math.floor(i / width);
+    }
+
+    if (total < a.luma.length * DEFAULTS.REFRAME_MIN_MOTION) return null;
+    return { x: (sumX / total + 0.5) / width, y: (sumY / total + 0.5) / height };
+}
+
+// Moving average over `radius` samples either side; gaps hold the last centre seen
+export function smoothPath(centers, fallback, radius) {
+    let last = fallback;
+    const filled = centers.map(center => (last = center || last));
+    return filled.map((_, i) => {
+        const window = filled.slice(Math.max(0, i - radius), i + radius + 1);
+        return {
+            x: window.reduce((sum, c) => sum + c.x, 0) / window.length,
+            y: window.reduce((sum, c) => sum + c.y, 0) / window.length
+        };
+    });
+}
+
+// Crop percentage that centres a crop of `crop` on `center` along one axis, all as fractions
+// of the frame. A crop as large as the frame has nowhere to move. The scene's zoom plays no part:
+// zooming scales the crop about its centre, so the zoomed window stays centred where the crop is
+function toCropPercent(center, crop, fallback) {
+    if (crop >= 1) return fallback;
+    return +Math.min(100, Math.max(0, ((center - crop / 2) / (1 - crop)) * 100)).toFixed(1);
+}
+
+// Suggests crop keyframes that follow the movement in the selected scene, found by differencing
+// small frames on the CPU. Suggestions are flagged auto: running it again replaces them, and
+// keyframes set by hand are kept with no suggestion close to them
+export class AutoReframeManager {
+    constructor(videoPreview, historyManager) {
+        this.videoPreview = videoPreview;
+        this.historyManager = historyManager;
+        this.run = 0;
+        this.running = false;
+        this.canvas = document.createElement('canvas');
+    }
+
+    async toggleReframe() {
+        if (this.running) {
+            this.run++;
+            return;
+        }
+
+        const sceneEl = this.videoPreview.selectedScene;
+        if (!this.videoPreview.videoLoaded || !sceneEl) {
+            alert('Please load a video and click on a scene to select it first.');
+            return;
+        }
+        const fitMode = sceneEl.querySelector('.fitMode').value;
+        if (fitMode !== FIT_MODES.CROP) {
+            alert('Auto reframe moves the crop of scenes using the Crop fit mode.');
+            return;
+        }
+
+        const run = ++this.run;
+        const button = document.querySelector(DOM_ELEMENTS.autoReframeBtn);
+        const label = button.textContent;
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        video.pause();
+        this.running = true;
+
+        try {
+            const suggested = await this.suggestKeyframes(sceneEl, video, () => run !== this.run, (progress) => {
+                button.textContent = `■ Stop (${Math.round(progress * 100)}%)`;
+            });
+            if (run !== this.run) return;
+
+            const manual = getKeyframes(sceneEl).filter(kf => !kf.auto);
+            const kept = suggested.filter(kf => manual.every(m => Math.abs(m.time - kf.time) >= DEFAULTS.REFRAME_MANUAL_HOLD));
+            setKeyframes(sceneEl, [...manual, ...kept]);
+            this.historyManager.record('Auto reframe');
+            ErrorHandler.showSuccess(`Suggested ${kept.length} crop keyframes`);
+        } finally {
+            this.running = false;
+            button.textContent = label;
+            if (this.videoPreview.selectedScene === sceneEl) {
+                this.videoPreview.selectScene(sceneEl);
+            }
+        }
+    }
+
+    async suggestKeyframes(sceneEl, video, stopped, onProgress) {
+        const start = parseFloat(sceneEl.querySelector('.start').value) || 0;
+        const end = Math.min(parseFloat(sceneEl.querySelector('.end').value) || 0, video.duration);
+        const { videoWidth, videoHeight } = this.videoPreview;
+        const width = DEFAULTS.REFRAME_SAMPLE_WIDTH;
+        const height = Math.max(1, Math.round(width * videoHeight / videoWidth));
+        this.canvas.width = width;
+        this.canvas.height = height;
+        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        const sample = async (time) => {
+            await seekVideoTo(video, time);
+            ctx.drawImage(video, 0, 0, width, height);
+            return readFrame(ctx.getImageData(0, 0, width, height));
+        };
+
+        // Motion centre between each sample and the one before it
+        const interval = DEFAULTS.REFRAME_SAMPLE_INTERVAL;
+        const times = [];
+        const centers = [];
+        let previous = await sample(start);
+        for (let time = start + interval; time <= end; time += interval) {
+            if (stopped()) return [];
+            onProgress((time - start) / (end - start));
+
+            const frame = await sample(time);
+            times.push(time - interval / 2);
+            centers.push(findMotionCenter(previous, frame, width, height));
+            previous = frame;
+        }
+        if (times.length === 0) return [];
+
+        // Crop size in the video as the preview frames it, as fractions of the frame
+        const [outW, outH] = parseDimensions(document.querySelector(DOM_ELEMENTS.outDim).value);
+        const ratio = Math.min(videoHeight / outH, videoWidth / outW);
+        const cropW = (ratio * outW) / videoWidth;
+        const cropH = (ratio * outH) / videoHeight;
+
+        // Until something moves, the path starts from the scene's own crop
+        const hCrop = parseFloat(sceneEl.querySelector('.hCrop').value);
+        const vCrop = parseFloat(sceneEl.querySelector('.vCrop').value);
+        const fallback = {
+            x: cropW / 2 + (1 - cropW) * ((isNaN(hCrop) ? 50 : hCrop) / 100),
+            y: cropH / 2 + (1 - cropH) * ((isNaN(vCrop) ? 50 : vCrop) / 100)
+        };
+        const radius = Math.round(DEFAULTS.REFRAME_SMOOTHING / interval);
+        const path = smoothPath(centers, fallback, radius).map((center, i) => ({
+            time: +times[i].toFixed(3),
+            h: toCropPercent(center.x, cropW, isNaN(hCrop) ? 50 : hCrop),
+            v: toCropPercent(center.y, cropH, isNaN(vCrop) ? 50 : vCrop)
+        }));
+
+        // One keyframe per interval at most, and only where the crop has moved noticeably
+        const keyframes = [];
+        path.forEach((point, i) => {
+            const last = keyframes.at(-1);
+            const isLast = i === path.length - 1;
+            if (last && point.time - last.time < DEFAULTS.REFRAME_KEYFRAME_INTERVAL && !isLast) return;
+            if (last && Math.abs(point.h - last.h) < DEFAULTS.REFRAME_MIN_MOVE && Math.abs(point.v - last.v) < DEFAULTS.REFRAME_MIN_MOVE) return;
+            keyframes.push({ ...point, time: last ? point.time : +start.toFixed(3), auto: true });
+        });
+        return keyframes;
+    }
+}
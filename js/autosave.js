@@ -0,0 +1,131 @@
+import { DOM_ELEMENTS, DEFAULTS } from './constants.js';
+import { debounce } from './utils.js';
+import { ErrorHandler } from './error-handler.js';
+import { openDatabase, storeRequest, SNAPSHOT_STORE } from './database.js';
+
+function formatSavedAt(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
+
+// Keeps the last few project states in IndexedDB so a reload or crash loses nothing
+export class AutosaveManager {
+    constructor(projectManager, historyManager) {
+        this.projectManager = projectManager;
+        this.historyManager = historyManager;
+        this.db = null;
+        this.snapshots = [];
+        this.saveSoon = debounce(() => this.saveSnapshot(), DEFAULTS.AUTOSAVE_DELAY);
+
+        this.init();
+    }
+
+    async init() {
+        if (!window.indexedDB) {
+            console.warn('IndexedDB is not available; autosave is disabled');
+            return;
+        }
+
+        try {
+            this.db = await openDatabase();
+            await this.loadSnapshots();
+            this.offerRecovery();
+        } catch (error) {
+            console.warn('Autosave is disabled:', error);
+            this.db = null;
+            return;
+        }
+
+        // Start saving only after the recovery check so the fresh session doesn't hide the old one
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.historyManager.onChange(() => this.saveSoon());
+
+        document.querySelector(DOM_ELEMENTS.autosaveList)?.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-id]');
+            if (item && confirm(`Restore the autosave from ${item.dataset.savedAt}? Current changes stay in the undo history.`)) {
+                ErrorHandler.safe(() => this.restoreSnapshot(parseInt(item.dataset.id)), 'Failed to restore autosave');
+            }
+        });
+
+        document.querySelector('[data-action="restore-autosave"]')?.addEventListener('click', () => {
+            const latest = this.snapshots[this.snapshots.length - 1];
+            ErrorHandler.safe(() => this.restoreSnapshot(latest.id), 'Failed to restore autosave');
+        });
+
+        document.querySelector('[data-action="dismiss-autosave"]')?.addEventListener('click', () => {
+            this.hideRecoveryBanner();
+        });
+    }
+
+    async loadSnapshots() {
+        const snapshots = await storeRequest(this.db, SNAPSHOT_STORE, 'readonly', store => store.getAll());
+        this.snapshots = snapshots.sort((a, b) => a.id - b.id);
+        this.renderSnapshots();
+    }
+
+    async saveSnapshot() {
+        const entry = this.historyManager.getCurrentEntry();
+        if (!this.db || !entry) return;
+
+        // The same state again only updates whether it has been saved to a file
+        const latest = this.snapshots[this.snapshots.length - 1];
+        const snapshot = latest?.json === entry.json
+            ? { ...latest, saved: !!entry.saved }
+            : { json: entry.json, label: entry.label, saved: !!entry.saved, savedAt: Date.now() };
+
+        try {
+            snapshot.id = await storeRequest(this.db, SNAPSHOT_STORE, 'readwrite', store => store.put(snapshot));
+
+            const stale = this.snapshots.filter(s => s.id !== snapshot.id);
+            while (stale.length >= DEFAULTS.AUTOSAVE_SNAPSHOTS) {
+                const oldest = stale.shift();
+                await storeRequest(this.db, SNAPSHOT_STORE, 'readwrite', store => store.delete(oldest.id));
+            }
+            this.snapshots = [...stale, snapshot];
+            this.renderSnapshots();
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    }
+
+    // Offer the newest snapshot when it holds work that never reached a project file
+    offerRecovery() {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        const current = this.historyManager.getCurrentEntry();
+        if (!latest || latest.saved || latest.json === current?.json) return;
+
+        const banner = document.querySelector(DOM_ELEMENTS.recoveryBanner);
+        banner.querySelector('.recovery-time').textContent = formatSavedAt(latest.savedAt);
+        banner.style.display = 'flex';
+    }
+
+    hideRecoveryBanner() {
+        document.querySelector(DOM_ELEMENTS.recoveryBanner).style.display = 'none';
+    }
+
+    restoreSnapshot(id) {
+        const snapshot = this.snapshots.find(s => s.id === id);
+        if (!snapshot) {
+            throw new Error('Autosave no longer exists');
+        }
+
+        const data = JSON.parse(snapshot.json);
+        this.projectManager.loadProjectData(data);
+        this.historyManager.record('Restore autosave');
+        this.projectManager.relinkVideos();
+        this.hideRecoveryBanner();
+
+        ErrorHandler.showSuccess(`Restored autosave from ${formatSavedAt(snapshot.savedAt)}`);
+    }
+
+    renderSnapshots() {
+        const list = document.querySelector(DOM_ELEMENTS.autosaveList);
+        if (!list) return;
+
+        list.innerHTML = this.snapshots.slice().reverse()
+            .map(s => `<li data-id="${s.id}" data-saved-at="${formatSavedAt(s.savedAt)}">${formatSavedAt(s.savedAt)} · ${s.label}${s.saved ? ' 💾' : ''}</li>`)
+            .join('') || '<li class="empty">No autosaves yet</li>';
+    }
+}
@@ -0,0 +1,274 @@
+import { DEFAULTS, DOM_ELEMENTS, RATE_CONTROL } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { sanitizeFilename, seekVideoTo, formatTime } from './utils.js';
+import { getGeometry, getClipEncoding } from './command-core.js';
+import { getOutputExtension } from './encoding-manager.js';
+import { getSceneSource } from './media-bin.js';
+import { getSpeed, getSceneOutputDuration } from './speed.js';
+import { drawOutputFrame } from './output-monitor.js';
+import { getClipTimeline } from './transitions.js';
+
+// Recording types to try for each container, best first
+const RECORDING_TYPES = {
+    mp4: ['video/mp4;codecs=avc1.42E01E,mp4a.40.2', 'video/mp4'],
+    webm: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+};
+
+// First recording type the browser supports, preferring the container the encoding asks for
+export function pickRecordingType(extension, isTypeSupported) {
+    const preferred = RECORDING_TYPES[extension] ? extension : 'mp4';
+    const order = [preferred, ...Object.keys(RECORDING_TYPES).filter(type => type !== preferred)];
+    for (const container of order) {
+        const mimeType = RECORDING_TYPES[container].find(type => isTypeSupported(type));
+        if (mimeType) return { mimeType, extension: container };
+    }
+    return null;
+}
+
+// Bits per second of an ffmpeg style bitrate such as '4M' or '128k', or undefined when unreadable
+export function parseBitrate(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kKmM]?)$/.exec(String(value).trim());
+    if (!match) return undefined;
+    const unit = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * unit);
+}
+
+// What a recording of the clip leaves out of the file its FFmpeg commands produce, one line each
+export function getRenderDifferences(clip, settings) {
+    const sceneList = (indexes) => `${indexes.length > 1 ? 'scenes' : 'scene'} ${indexes.map(i => i + 1).join(', ')}`;
+    const differences = [];
+
+    const transitions = getClipTimeline(clip.scenes).scenes
+        .map((scene, i) => (scene.transition.duration > 0 ? i : -1))
+        .filter(i => i >= 0);
+    if (transitions.length > 0) {
+        differences.push(transitions.length > 1
+            ? `Transitions into ${sceneList(transitions)} become cuts`
+            : `The transition into ${sceneList(transitions)} becomes a cut`);
+    }
+
+    const reversed = clip.scenes.map((scene, i) => (scene.reverse ? i : -1)).filter(i => i >= 0);
+    if (reversed.length > 0) {
+        differences.push(`Reversed ${sceneList(reversed)} ${reversed.length > 1 ? 'play' : 'plays'} forwards`);
+    }
+
+    const formats = settings.outputFormats;
+    if (formats.length > 1) {
+        const active = formats.find(f => f.id === settings.activeFormat);
+        const others = formats.filter(f => f !== active).map(f => f.name);
+        differences.push(`Only the ${active.name} format is rendered, not ${others.join(', ')}`);
+    }
+    return differences;
+}
+
+// Renders the active clip without FFmpeg: every scene is played in a hidden video, drawn at the
+// output size the way the command frames it, and recorded from the canvas together with the
+// video's sound. The recorder is paused while seeking between scenes so no frames are lost or
+// repeated. Rendering runs in real time, transitions become cuts and reversed scenes play forwards;
+// the user is told of those before it starts
+export class BrowserRenderManager {
+    constructor(videoPreview, projectModel, tabManager) {
+        this.videoPreview = videoPreview;
+        this.projectModel = projectModel;
+        this.tabManager = tabManager;
+        this.run = 0;
+        this.rendering = false;
+        this.audioContext = null;
+        this.video = document.createElement('video');
+        this.video.preload = 'auto';
+        this.canvas = document.createElement('canvas');
+    }
+
+    async renderClip() {
+        if (this.rendering) return;
+
+        const settings = this.projectModel.getSettings();
+        const clip = this.projectModel.getClip(this.tabManager.getActiveTab());
+        if (!clip || clip.scenes.length === 0) {
+            alert('Please add scenes to the clip first.');
+            return;
+        }
+        if (!window.MediaRecorder || !this.canvas.captureStream) {
+            alert('This browser cannot record video. Please use a recent Chrome, Edge or Firefox, or the generated FFmpeg command.');
+            return;
+        }
+
+        // Every video the clip uses must be loaded, since the browser can only read those
+        const urls = clip.scenes.map(scene => {
+            const source = getSceneSource(scene, settings.sources);
+            const stored = this.videoPreview.sourceVideos[source.id];
+            if (!stored) throw new Error(`Load ${source.file} in the preview before rendering`);
+            return stored.url;
+        });
+
+        const differences = getRenderDifferences(clip, settings);
+        if (differences.length > 0 && !confirm(`The rendered file will not match the FFmpeg command's output:\n\n• ${differences.join('\n• ')}\n\nRender anyway?`)) {
+            return;
+        }
+
+        const encoding = getClipEncoding(settings, clip);
+        const type = pickRecordingType(getOutputExtension(encoding), mimeType => MediaRecorder.isTypeSupported(mimeType));
+        if (!type) throw new Error('This browser cannot record MP4 or WebM video');
+
+        const formats = settings.outputFormats;
+        const format = formats.find(f => f.id === settings.activeFormat);
+        const suffix = formats.length > 1 ? `_${sanitizeFilename(format.name)}` : '';
+        const fileName = `${sanitizeFilename(clip.name || 'output')}${suffix}.${type.extension}`;
+
+        const run = ++this.run;
+        this.rendering = true;
+        this.showPanel(true);
+
+        try {
+            const blob = await this.record(clip, urls, settings, encoding, type.mimeType, () => run !== this.run);
+            if (!blob) {
+                ErrorHandler.showSuccess('Rendering cancelled');
+                return;
+            }
+            this.download(blob, fileName);
+            ErrorHandler.showSuccess(`Rendered ${fileName}`);
+        } finally {
+            this.rendering = false;
+            this.video.pause();
+            this.showPanel(false);
+        }
+    }
+
+    cancelRender() {
+        if (this.rendering) this.run++;
+    }
+
+    // Resolves with the recorded file, or null when cancelled
+    async record(clip, urls, settings, encoding, mimeType, stopped) {
+        const geometry = getGeometry(settings);
+        this.canvas.width = geometry.outW;
+        this.canvas.height = geometry.outH;
+        const ctx = this.canvas.getContext('2d');
+
+        // The video's sound goes to the recording only, not the speakers
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+            this.audioSource = this.audioContext.createMediaElementSource(this.video);
+            this.audioOutput = this.audioContext.createMediaStreamDestination();
+            this.audioSource.connect(this.audioOutput);
+        }
+        await this.audioContext.resume();
+
+        const frameRate = encoding.fps || DEFAULTS.DEFAULT_FRAME_RATE;
+        const stream = new MediaStream([
+            ...this.canvas.captureStream(frameRate).getVideoTracks(),
+            ...this.audioOutput.stream.getAudioTracks()
+        ]);
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: encoding.rateControl === RATE_CONTROL.BITRATE ? parseBitrate(encoding.bitrate) : undefined,
+            audioBitsPerSecond: parseBitrate(encoding.audioBitrate)
+        });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const finished = new Promise(resolve => { recorder.onstop = resolve; });
+
+        const durations = clip.scenes.map(getSceneOutputDuration);
+        const total = durations.reduce((sum, duration) => sum + duration, 0);
+        let done = 0;
+        let recorded = false;
+
+        try {
+            for (let i = 0; i < clip.scenes.length && !stopped(); i++) {
+                const scene = clip.scenes[i];
+                await this.playScene(scene, urls[i], settings, ctx, recorder, stopped, (fraction) => {
+                    const elapsed = done + durations[i] * fraction;
+                    this.showProgress(elapsed / total, `Scene ${i + 1} of ${clip.scenes.length} · ${formatTime(elapsed)} / ${formatTime(total)}`);
+                });
+                done += durations[i];
+            }
+        } finally {
+            this.video.pause();
+            recorded = recorder.state !== 'inactive';
+            if (recorded) recorder.stop();
+            stream.getVideoTracks().forEach(track => track.stop());
+        }
+
+        if (stopped()) return null;
+        if (!recorded) throw new Error('None of the clip\'s scenes ends after it starts');
+        await finished;
+        return new Blob(chunks, { type: recorder.mimeType || mimeType });
+    }
+
+    async playScene(scene, url, settings, ctx, recorder, stopped, onProgress) {
+        const video = this.video;
+        if (!(scene.end > scene.start)) return;
+
+        if (video.src !== url) {
+            const loaded = new Promise((resolve, reject) => {
+                video.addEventListener('loadedmetadata', resolve, { once: true });
+                video.addEventListener('error', () => reject(new Error('Could not read a video of the clip')), { once: true });
+            });
+            video.src = url;
+            await loaded;
+        }
+
+        // Measured from the video itself, as the monitor does
+        const geometry = getGeometry(settings, null, { inDim: `${video.videoWidth}x${video.videoHeight}` });
+        const draw = () => drawOutputFrame(ctx, video, scene, Math.min(video.currentTime, scene.end), geometry);
+
+        await seekVideoTo(video, scene.start);
+        draw();
+        if (stopped()) return;
+
+        const { speed, speedEnd } = getSpeed(scene);
+        video.playbackRate = speed;
+        if (recorder.state === 'inactive') {
+            recorder.start(1000);
+        } else {
+            recorder.resume();
+        }
+        await video.play();
+
+        // Frames are drawn as the video presents them where the browser can say when that is
+        const nextFrame = video.requestVideoFrameCallback
+            ? (callback) => video.requestVideoFrameCallback(callback)
+            : (callback) => requestAnimationFrame(callback);
+
+        await new Promise(resolve => {
+            const tick = () => {
+                if (stopped() || video.currentTime >= scene.end || video.ended) {
+                    resolve();
+                    return;
+                }
+                const fraction = (video.currentTime - scene.start) / (scene.end - scene.start);
+                video.playbackRate = speed + (speedEnd - speed) * fraction;
+                draw();
+                onProgress(fraction);
+                nextFrame(tick);
+            };
+            tick();
+        });
+
+        video.pause();
+        if (recorder.state === 'recording') recorder.pause();
+    }
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        // Revoked later, as some browsers read the blob after the click returns
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    showPanel(visible) {
+        document.querySelector(DOM_ELEMENTS.renderPanel).style.display = visible ? 'flex' : 'none';
+        document.querySelector(DOM_ELEMENTS.renderClipBtn).disabled = visible;
+        this.showProgress(0, visible ? 'Preparing…' : '');
+    }
+
+    showProgress(fraction, text) {
+        document.querySelector(DOM_ELEMENTS.renderProgress).value = Math.min(1, Math.max(0, fraction));
+        document.querySelector(DOM_ELEMENTS.renderStatus).textContent = text;
+    }
+}
@@ -0,0 +1,351 @@
+// FFmpeg command generation from project data, shared by the browser UI and the Node CLI.
+// Nothing here touches the DOM: everything is computed from the project settings and clips
+// in the shape the project model holds them
+import { DEFAULTS, PAN_METHODS, FIT_MODES, CUT_TRANSITION, ENCODING_DEFAULTS } from './constants.js';
+import { parseDimensions, sanitizeFilename, shellQuote, fitWithin } from './utils.js';
+import { buildKeyframeExpr, sortKeyframes, interpolateKeyframes } from './keyframes.js';
+import { normalizeEncoding, buildEncodingArgs, getOutputExtension } from './encoding-manager.js';
+import { getClipTimeline, buildTransitionChain } from './transitions.js';
+import { getSpeed, buildVideoSpeedFilters, buildAudioSpeedFilters } from './speed.js';
+import { normalizeRegion, getStackRegions, getRegionLayout, getRegionCropSize } from './regions.js';
+import { getFormatCrop } from './output-formats.js';
+import { getSceneSource } from './media-bin.js';
+
+// Scene with every field filled in, using the same defaults as the scene editor
+export function normalizeScene(scene) {
+    const { start, end, hCrop = 50, vCrop = 50, pan = false, hCropEnd = hCrop, vCropEnd = vCrop, zoom = 1, zoomEnd = zoom,
+        keyframes = [], transition = CUT_TRANSITION, transitionDuration = DEFAULTS.TRANSITION_DURATION,
+        speed = 1, speedRamp = false, speedEnd = speed, reverse = false,
+        padColor = DEFAULTS.PAD_COLOR, regions = [], formatCrops = {}, source = null } = scene;
+
+    // Values the editor's pickers do not offer fall back to their first option
+    const fitMode = Object.values(FIT_MODES).includes(scene.fitMode) ? scene.fitMode : FIT_MODES.CROP;
+    return {
+        start, end, hCrop, pan, hCropEnd, vCrop, vCropEnd, zoom, zoomEnd,
+        panMethod: Object.values(PAN_METHODS).includes(scene.panMethod) ? scene.panMethod : PAN_METHODS.LINEAR,
+        keyframes: sortKeyframes(keyframes),
+        transition, transitionDuration, speed, speedRamp, speedEnd, reverse,
+        fitMode,
+        padColor,
+        regions: fitMode === FIT_MODES.STACK ? getStackRegions(regions, hCrop, vCrop) : regions.map(normalizeRegion),
+        formatCrops,
+        source
+    };
+}
+
+/**
+ * Read a saved project file into settings and clips, filling in what older files leave out
+ * the same way loading them into the editor does.
+ * @param {Object} data - Parsed project JSON, as written by ProjectManager.saveProject
+ * @returns {{settings: Object, clips: Array<{id: string, name: string, encoding: ?Object, scenes: Object[]}>}}
+ */
+export function normalizeProject(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.clips)) {
+        throw new Error('Project file must contain a clips array');
+    }
+
+    const inputName = data.inputName || DEFAULTS.INPUT_FILE;
+    const inDim = data.inDim || DEFAULTS.INPUT_DIMENSIONS;
+    const outDim = data.outDim || DEFAULTS.OUTPUT_DIMENSIONS;
+
+    // The active format and source take their values from the top-level fields
+    const formats = Array.isArray(data.outputFormats) && data.outputFormats.length > 0
+        ? data.outputFormats
+        : [{ id: DEFAULTS.OUTPUT_FORMAT_ID, name: DEFAULTS.OUTPUT_FORMAT_NAME, outDim }];
+    const activeFormat = formats.some(f => f.id === data.activeFormat) ? data.activeFormat : formats[0].id;
+    const sources = Array.isArray(data.sources) && data.sources.length > 0
+        ? data.sources
+        : [{ id: DEFAULTS.SOURCE_ID, file: inputName, inDim }];
+    const activeSource = sources.some(s => s.id === data.activeSource) ? data.activeSource : sources[0].id;
+
+    return {
+        settings: {
+            inputName,
+            inDim,
+            outDim,
+            encoding: normalizeEncoding({ ...ENCODING_DEFAULTS, ...data.encoding }),
+            platformPreset: data.platformPreset || null,
+            customPresets: data.customPresets || [],
+            outputFormats: formats.map(f => f.id === activeFormat ? { ...f, outDim } : f),
+            activeFormat,
+            sources: sources.map(s => s.id === activeSource ? { ...s, file: inputName, inDim } : s),
+            activeSource
+        },
+        clips: data.clips.map((clip, index) => ({
+            id: `clip-${index + 1}`,
+            name: clip.name,
+            encoding: clip.encoding ? normalizeEncoding({ ...ENCODING_DEFAULTS, ...clip.encoding }) : null,
+            scenes: clip.scenes.map(normalizeScene)
+        }))
+    };
+}
+
+export function getClipEncoding(settings, clip) {
+    return clip.encoding || settings.encoding;
+}
+
+// Geometry of one output format, the active one by default, cut from one source
+// which is fed to ffmpeg as input number inputIndex
+export function getGeometry(settings, format = null, source = null, inputIndex = 0) {
+    const [inW, inH] = parseDimensions(source?.inDim || settings.inDim);
+    const [outW, outH] = parseDimensions(format?.outDim || settings.outDim);
+    const ratio = Math.min(inH/outH, inW/outW);
+
+    return {
+        inW, inH, outW, outH,
+        cropW: ratio * outW,
+        cropH: ratio * outH,
+        // Scenes keep the active format's crop in their own fields, other formats in formatCrops
+        cropFormatId: format && format.id !== settings.activeFormat ? format.id : null,
+        inputIndex
+    };
+}
+
+// Crop offset expression along one axis: 'h' (x, against in_w) or 'v' (y, against in_h)
+export function buildPositionExpr(scene, axis, cropSize, crop) {
+    const s = scene.start;
+    const e = scene.end;
+    const duration = (e - s).toFixed(2);
+    const inSize = axis === 'h' ? 'in_w' : 'in_h';
+    const cropPct = crop[`${axis}Crop`] / 100;
+    const method = scene.panMethod;
+    const positionExpr = (pct) => `(${inSize}-${cropSize})*${pct}`;
+
+    // Keyframes inside the scene take precedence over the start/end pan
+    const keyframes = crop.keyframes.filter(kf => kf.time >= +s && kf.time <= +e);
+    if (keyframes.length > 0) {
+        return `'${buildKeyframeExpr(keyframes, +s, method, axis, positionExpr)}'`;
+    }
+
+    const cropPctEnd = crop[`${axis}CropEnd`] / 100;
+    return buildPanExpr(inSize, cropSize, cropPct, scene.pan ? cropPctEnd : cropPct, method, duration);
+}
+
+// Offset moving from one fraction of the free space to another over the scene
+export function buildPanExpr(inSize, cropSize, cropPct, cropPctEnd, method, duration) {
+    const positionExpr = (pct) => `(${inSize}-${cropSize})*${pct}`;
+    if (cropPctEnd === cropPct) {
+        return positionExpr(cropPct);
+    }
+
+    const startPos = positionExpr(cropPct);
+    const endPos = positionExpr(cropPctEnd);
+
+    if (method === PAN_METHODS.LINEAR) {
+        return `${startPos}+(${endPos}-(${startPos}))*(t/${duration})`;
+    }
+    return `${startPos}+(${endPos}-(${startPos}))*(1-cos(PI*t/${duration}))/2`;
+}
+
+// How far through its move a pan or zoom is at a fraction of the scene, eased the way the
+// generated expressions ease it
+export function getPanProgress(fraction, method) {
+    const progress = Math.min(1, Math.max(0, fraction));
+    return method === PAN_METHODS.LINEAR ? progress : (1 - Math.cos(Math.PI * progress)) / 2;
+}
+
+// Crop percentages { h, v } and zoom at a source time inside the scene: the values the x, y and
+// zoom expressions of buildSceneFilters take at that time. Split-screen scenes give the crop of
+// one region
+export function getCropAt(scene, time, formatId = null, regionIndex = 0) {
+    const progress = getPanProgress((time - scene.start) / (scene.end - scene.start), scene.panMethod);
+    const between = (from, to) => from + (to - from) * progress;
+
+    const region = scene.fitMode === FIT_MODES.STACK ? scene.regions?.[regionIndex] : null;
+    if (region) {
+        return {
+            h: between(region.h, region.pan ? region.hEnd : region.h),
+            v: between(region.v, region.pan ? region.vEnd : region.v),
+            zoom: 1
+        };
+    }
+
+    const crop = getFormatCrop(scene, formatId);
+    const zoomStart = crop.zoom || 1;
+    const zoom = between(zoomStart, crop.zoomEnd || zoomStart);
+
+    // Keyframes inside the scene take precedence over the start/end pan
+    const keyframes = crop.keyframes.filter(kf => kf.time >= scene.start && kf.time <= scene.end);
+    if (keyframes.length > 0) {
+        return { ...interpolateKeyframes(keyframes, time, scene.panMethod), zoom };
+    }
+
+    return {
+        h: between(crop.hCrop, scene.pan ? crop.hCropEnd : crop.hCrop),
+        v: between(crop.vCrop, scene.pan ? crop.vCropEnd : crop.vCrop),
+        zoom
+    };
+}
+
+// Zoom factor expression for zoompan, or null when the scene never zooms
+export function buildZoomExpr(scene, frameRate, crop) {
+    const duration = (scene.end - scene.start).toFixed(2);
+    const zoom = crop.zoom || 1;
+    const zoomEnd = crop.zoomEnd || zoom;
+
+    if (zoom === 1 && zoomEnd === 1) return null;
+    if (zoom === zoomEnd) return `${zoom}`;
+
+    // zoompan has no portable time variable, so derive it from the output frame number
+    const t = `(on/${frameRate})`;
+    if (scene.panMethod === PAN_METHODS.LINEAR) {
+        return `${zoom}+(${zoomEnd}-${zoom})*min(${t}/${duration},1)`;
+    }
+    return `${zoom}+(${zoomEnd}-${zoom})*(1-cos(PI*min(${t}/${duration},1)))/2`;
+}
+
+export function buildSceneFilters(scene, geometry, vLabel, aLabel, frameRate = DEFAULTS.DEFAULT_FRAME_RATE, constantRate = false) {
+    const { inW, inH, outW, outH } = geometry;
+    const fitMode = scene.fitMode || FIT_MODES.CROP;
+    const isFit = fitMode !== FIT_MODES.CROP;
+
+    // Fit modes keep the whole frame, zoomed if set, and scale it inside the output
+    const cropW = isFit ? inW : geometry.cropW;
+    const cropH = isFit ? inH : geometry.cropH;
+    const [fitW, fitH] = isFit ? fitWithin(inW, inH, outW, outH) : [outW, outH];
+    const s = scene.start;
+    const e = scene.end;
+    const crop = getFormatCrop(scene, geometry.cropFormatId);
+    const xExpr = buildPositionExpr(scene, 'h', cropW, crop);
+    const yExpr = buildPositionExpr(scene, 'v', cropH, crop);
+    const zoomExpr = fitMode === FIT_MODES.STACK ? null : buildZoomExpr(scene, frameRate, crop);
+
+    // Zoom scales the crop window about its centre; zoompan also does the final scale.
+    // zoompan emits one frame per input frame, so pin the rate before trimming.
+    // xfade also needs every scene at the same rate
+    const rateFilter = zoomExpr || constantRate ? `fps=${frameRate},` : '';
+    const sizeFilter = zoomExpr
+        ? `zoompan=z='${zoomExpr}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=1:s=${fitW}x${fitH}:fps=${frameRate}`
+        : `scale=${fitW}:${fitH}`;
+
+    // Speed changes come after the crop so pan and keyframe times stay in source time
+    const speed = getSpeed(scene);
+    const videoSpeed = buildVideoSpeedFilters(e - s, speed);
+    const speedFilter = videoSpeed ? `,${videoSpeed}` : '';
+    const resampleFilter = videoSpeed && constantRate ? `,fps=${frameRate}` : '';
+
+    // Scenes scaled from different crops or sources only join with matching pixel aspect
+    const postFilters = `${speedFilter}${resampleFilter},setsar=1`;
+
+    const audioTrim = `[${geometry.inputIndex}:a]atrim=start=${s}:end=${e},asetpts=PTS-STARTPTS`;
+    const audioSpeed = buildAudioSpeedFilters(`${aLabel}r`, aLabel, e - s, speed);
+    const audio = audioSpeed ? `${audioTrim}[${aLabel}r]; ${audioSpeed}` : `${audioTrim}[${aLabel}]`;
+
+    const source = `[${geometry.inputIndex}:v]${rateFilter}trim=start=${s}:end=${e},setpts=PTS-STARTPTS`;
+    const foreground = `crop=${cropW}:${cropH}:${xExpr}:${yExpr},${sizeFilter}`;
+    let video;
+
+    if (fitMode === FIT_MODES.STACK) {
+        video = buildStackFilters(scene, geometry, source, vLabel, postFilters);
+    } else if (fitMode === FIT_MODES.BLUR) {
+        // Background is the full frame scaled to cover the output and blurred
+        video = `${source},split=2[${vLabel}bg][${vLabel}fg]; ` +
+            `[${vLabel}bg]scale=${outW}:${outH}:force_original_aspect_ratio=increase,crop=${outW}:${outH},boxblur=${DEFAULTS.BLUR_RADIUS}:2[${vLabel}bgb]; ` +
+            `[${vLabel}fg]${foreground}[${vLabel}fgs]; ` +
+            `[${vLabel}bgb][${vLabel}fgs]overlay=(W-w)/2:(H-h)/2${postFilters}[${vLabel}]`;
+    } else {
+        const padColor = (scene.padColor || DEFAULTS.PAD_COLOR).replace('#', '0x');
+        const padFilter = fitMode === FIT_MODES.PAD ? `,pad=${outW}:${outH}:(ow-iw)/2:(oh-ih)/2:color=${padColor}` : '';
+        video = `${source},${foreground}${padFilter}${postFilters}[${vLabel}]`;
+    }
+
+    return `${video}; ${audio}`;
+}
+
+// One crop branch per region, each panning on its own, stacked to fill the output
+function buildStackFilters(scene, geometry, source, vLabel, postFilters) {
+    const { inW, inH, outW, outH } = geometry;
+    const duration = (scene.end - scene.start).toFixed(2);
+    const method = scene.panMethod;
+    const regions = getStackRegions(scene.regions, scene.hCrop, scene.vCrop);
+    const { filter, slots } = getRegionLayout(regions, outW, outH);
+    const labels = regions.map((_, i) => `${vLabel}r${i}`);
+
+    const branches = regions.map((region, i) => {
+        const { cropW, cropH } = getRegionCropSize(slots[i], inW, inH);
+        const x = buildPanExpr('in_w', cropW, region.h / 100, (region.pan ? region.hEnd : region.h) / 100, method, duration);
+        const y = buildPanExpr('in_h', cropH, region.v / 100, (region.pan ? region.vEnd : region.v) / 100, method, duration);
+        return `[${labels[i]}]crop=${cropW}:${cropH}:${x}:${y},scale=${slots[i].w}:${slots[i].h}[${labels[i]}s]`;
+    });
+
+    return `${source},split=${regions.length}${labels.map(l => `[${l}]`).join('')}; ` +
+        `${branches.join('; ')}; ` +
+        `${labels.map(l => `[${l}s]`).join('')}${filter}=inputs=${regions.length}${postFilters}[${vLabel}]`;
+}
+
+export function buildClipCommand(settings, clip, format, baseName) {
+    const encoding = getClipEncoding(settings, clip);
+    const frameRate = encoding.fps || DEFAULTS.DEFAULT_FRAME_RATE;
+
+    const scenes = clip.scenes;
+    const timeline = getClipTimeline(scenes);
+    const hasTransitions = timeline.scenes.some(scene => scene.transition.duration > 0);
+    let filters = "";
+    let concatStr = "";
+
+    // Every source used by the clip becomes one -i input, in order of first use
+    const inputs = [];
+    scenes.forEach((scene, index) => {
+        const source = getSceneSource(scene, settings.sources);
+        if (!inputs.some(input => input.id === source.id)) inputs.push(source);
+
+        const geometry = getGeometry(settings, format, source, inputs.findIndex(input => input.id === source.id));
+        filters += buildSceneFilters(scene, geometry, `v${index}`, `a${index}`, frameRate, hasTransitions) + '; ';
+        concatStr += `[v${index}][a${index}]`;
+    });
+
+    const joinStr = hasTransitions
+        ? buildTransitionChain(timeline.scenes, i => `v${i}`, i => `a${i}`, frameRate)
+        : `${concatStr}concat=n=${scenes.length}:v=1:a=1[v][a]`;
+
+    return `ffmpeg ${inputs.map(source => `-i ${shellQuote(source.file)}`).join(' ')} -filter_complex \\
+"${filters}${joinStr}" \\
+-map "[v]" -map "[a]" ${buildEncodingArgs(encoding)} ${shellQuote(`${baseName}.${getOutputExtension(encoding)}`)}`;
+}
+
+/**
+ * One command per output format for a clip; a project with a single format keeps the plain clip name.
+ * @param {Object} settings - Project settings
+ * @param {Object} clip - Clip with at least one scene
+ * @param {string[]|null} formatIds - Formats to include, all of them when null
+ * @returns {string[]}
+ */
+export function buildClipCommands(settings, clip, formatIds = null) {
+    const formats = settings.outputFormats;
+    const safeClipName = sanitizeFilename(clip.name || 'output');
+
+    return formats
+        .filter(format => !formatIds || formatIds.includes(format.id))
+        .map(format => {
+            const suffix = formats.length > 1 ? `_${sanitizeFilename(format.name)}` : '';
+            return buildClipCommand(settings, clip, format, `${safeClipName}${suffix}`);
+        });
+}
+
+// Command rendering one scene of a clip on its own, in the active format
+export function buildSceneCommand(settings, clip, sceneIndex) {
+    const scene = clip.scenes[sceneIndex];
+    const source = getSceneSource(scene, settings.sources);
+    const geometry = getGeometry(settings, null, source);
+    const encoding = getClipEncoding(settings, clip);
+    const frameRate = encoding.fps || DEFAULTS.DEFAULT_FRAME_RATE;
+
+    const safeClipName = sanitizeFilename(clip.name || 'output');
+    const outputName = `${safeClipName}-${sceneIndex + 1}.${getOutputExtension(encoding)}`;
+
+    return `ffmpeg -i ${shellQuote(source.file)} -filter_complex \\
+"${buildSceneFilters(scene, geometry, 'v', 'a', frameRate)}" \\
+-map "[v]" -map "[a]" ${buildEncodingArgs(encoding)} ${shellQuote(outputName)}`;
+}
+
+// Bash script running the commands of every clip that has scenes
+export function buildScript(settings, clips, formatIds = null) {
+    let script = '#!/bin/bash\n\n';
+
+    clips.filter(clip => clip.scenes.length > 0).forEach(clip => {
+        script += `# ${clip.name || clip.id}\n`;
+        script += buildClipCommands(settings, clip, formatIds).join('\n\n') + '\n\n';
+    });
+
+    return script;
+}
@@ -4,28 +4,109 @@ export const DEFAULTS = {
     DEFAULT_FRAME_RATE: 30,
     CONTINUITY_EPSILON: 0.05,
     DEFAULT_SCENE_LENGTH: 5,
+    MAX_ZOOM: 8,
+    TRANSITION_DURATION: 0.5,
+    MIN_SPEED: 0.25,
+    MAX_SPEED: 4,
+    MAX_RAMP_STEPS: 8,
+    PAD_COLOR: '#000000',
+    BLUR_RADIUS: 20,
+    MAX_REGION_SHARE: 10,
+    FIT_PREVIEW_HEIGHT: 160,
     INPUT_FILE: 'input.mkv',
     INPUT_DIMENSIONS: '1280x640',
-    OUTPUT_DIMENSIONS: '720x1280'
+    OUTPUT_DIMENSIONS: '720x1280',
+    OUTPUT_FORMAT_ID: 'main',
+    OUTPUT_FORMAT_NAME: 'Main',
+    SOURCE_ID: 'source1',
+    MAX_HISTORY: 100,
+    HISTORY_GROUP_DELAY: 500,
+    AUTOSAVE_DELAY: 2000,
+    AUTOSAVE_SNAPSHOTS: 10,
+    RELINK_DURATION_TOLERANCE: 0.1,
+    RECENT_PROJECTS: 8,
+    TIMELINE_MAX_ZOOM: 16,
+    TIMELINE_THUMB_HEIGHT: 40,
+    WAVEFORM_SAMPLE_RATE: 8000,
+    WAVEFORM_BUCKET: 0.01,
+    WAVEFORM_HEIGHT: 48,
+    SILENCE_THRESHOLD: -40,
+    SILENCE_MIN_LENGTH: 0.5,
+    SHOT_SAMPLE_WIDTH: 64,
+    SHOT_SAMPLE_INTERVAL: 0.25,
+    SHOT_THRESHOLD: 0.3,
+    MIN_SHOT_LENGTH: 0.5,
+    REFRAME_SAMPLE_WIDTH: 96,
+    REFRAME_SAMPLE_INTERVAL: 0.2,
+    REFRAME_NOISE: 12,
+    REFRAME_MIN_MOTION: 0.5,
+    REFRAME_SMOOTHING: 0.6,
+    REFRAME_KEYFRAME_INTERVAL: 1,
+    REFRAME_MIN_MOVE: 3,
+    REFRAME_MANUAL_HOLD: 1
 };
 
 export const DOM_ELEMENTS = {
     inputName: '#inputName',
     inDim: '#inDim',
     outDim: '#outDim',
+    outputFormat: '#outputFormat',
+    activeSource: '#activeSource',
+    historyPanel: '#historyPanel',
+    historyList: '#historyList',
+    autosaveList: '#autosaveList',
+    recoveryBanner: '#recoveryBanner',
+    startScreen: '#startScreen',
+    recentPanel: '#recentPanel',
+    recentProjectLists: '.recent-projects',
     videoFile: '#videoFile',
     videoInfo: '#videoInfo',
+    relinkVideos: '#relinkVideos',
     videoContainer: '#videoContainer',
     previewVideo: '#previewVideo',
     cropOverlay: '#cropOverlay',
+    fitPreview: '#fitPreview',
     cropWindow: '#cropWindow',
     cropWindowEnd: '#cropWindowEnd',
+    audioPanel: '#audioPanel',
+    waveform: '#waveform',
+    loadWaveformBtn: '#loadWaveformBtn',
+    silenceThreshold: '#silenceThreshold',
+    silenceMinLength: '#silenceMinLength',
+    silenceInfo: '#silenceInfo',
     videoSeek: '#videoSeek',
+    keyframeMarkers: '#keyframeMarkers',
+    shotPanel: '#shotPanel',
+    shotMarkers: '#shotMarkers',
+    shotThreshold: '#shotThreshold',
+    shotInfo: '#shotInfo',
+    detectShotsBtn: '#detectShotsBtn',
+    createShotScenesBtn: '#createShotScenesBtn',
+    timeline: '#timeline',
+    timelineZoom: '#timelineZoom',
+    timelineScroll: '#timelineScroll',
+    timelineTrack: '#timelineTrack',
+    filmstrip: '#filmstrip',
+    timelineScenes: '#timelineScenes',
+    timelinePlayhead: '#timelinePlayhead',
+    outputMonitor: '#outputMonitor',
+    monitorCanvas: '#monitorCanvas',
+    playClipBtn: '#playClipBtn',
+    monitorInfo: '#monitorInfo',
+    renderClipBtn: '#renderClipBtn',
+    renderPanel: '#renderPanel',
+    renderProgress: '#renderProgress',
+    renderStatus: '#renderStatus',
     videoControls: '#videoControls',
     sceneActions: '#sceneActions',
+    autoReframeBtn: '#autoReframeBtn',
+    previewSceneBtn: '#previewSceneBtn',
+    previewLoop: '#previewLoop',
     timeDisplay: '#timeDisplay',
     cropDisplay: '#cropDisplay',
     cropDisplayEnd: '#cropDisplayEnd',
+    encodingDefaults: '#encodingDefaults',
+    platformPreset: '#platformPreset',
     playPauseBtn: '#playPauseBtn',
     panToggleBtn: '#panToggleBtn',
     setEndCropBtn: '#setEndCropBtn',
@@ -35,5 +116,119 @@ export const DOM_ELEMENTS = {
 
 export const PAN_METHODS = {
     LINEAR: 'linear',
-    ZOOM: 'zoom'
-};
\ No newline at end of file
+    EASE: 'ease'
+};
+
+// How a scene fills the output frame: crop to the output aspect, fit the whole frame
+// inside it over solid padding or a blurred copy of itself, or stack several crop regions
+export const FIT_MODES = {
+    CROP: 'crop',
+    PAD: 'pad',
+    BLUR: 'blur',
+    STACK: 'stack'
+};
+
+// Scene transitions, keyed by the ffmpeg xfade transition name ('cut' is a hard concat)
+export const TRANSITIONS = {
+    cut: 'Cut',
+    fade: 'Crossfade',
+    fadeblack: 'Dip to black',
+    wipeleft: 'Wipe'
+};
+
+export const CUT_TRANSITION = 'cut';
+
+// Encoder options offered in the encoding profile editor
+export const VIDEO_CODECS = {
+    libx264: {
+        label: 'H.264 (x264)',
+        extension: 'mp4',
+        presets: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'],
+        defaultPreset: 'medium',
+        maxCrf: 51,
+        defaultCrf: 23,
+        audioCodecs: ['aac', 'libmp3lame']
+    },
+    libx265: {
+        label: 'H.265 (x265)',
+        extension: 'mp4',
+        presets: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'],
+        defaultPreset: 'medium',
+        maxCrf: 51,
+        defaultCrf: 28,
+        audioCodecs: ['aac', 'libmp3lame']
+    },
+    'libvpx-vp9': {
+        label: 'VP9',
+        extension: 'webm',
+        presets: ['0', '1', '2', '3', '4', '5'],
+        defaultPreset: '2',
+        maxCrf: 63,
+        defaultCrf: 31,
+        audioCodecs: ['libopus']
+    },
+    libsvtav1: {
+        label: 'AV1 (SVT-AV1)',
+        extension: 'mp4',
+        presets: ['2', '4', '6', '8', '10', '12'],
+        defaultPreset: '8',
+        maxCrf: 63,
+        defaultCrf: 35,
+        audioCodecs: ['aac', 'libopus']
+    }
+};
+
+export const AUDIO_CODECS = {
+    aac: 'AAC',
+    libopus: 'Opus',
+    libmp3lame: 'MP3'
+};
+
+export const PIXEL_FORMATS = ['yuv420p', 'yuv420p10le', 'yuv444p'];
+
+export const AUDIO_BITRATES = ['96k', '128k', '160k', '192k', '256k', '320k'];
+
+export const RATE_CONTROL = {
+    CRF: 'crf',
+    BITRATE: 'bitrate'
+};
+
+export const ENCODING_DEFAULTS = {
+    videoCodec: 'libx264',
+    rateControl: RATE_CONTROL.CRF,
+    crf: 23,
+    bitrate: '4M',
+    preset: 'medium',
+    pixFmt: 'yuv420p',
+    fps: null,
+    audioCodec: 'aac',
+    audioBitrate: '128k'
+};
+
+// Built-in export targets. maxDuration is in seconds; projects can add their own presets
+export const PLATFORM_PRESETS = {
+    'youtube-shorts': {
+        name: 'YouTube Shorts',
+        outDim: '1080x1920',
+        maxDuration: 180,
+        encoding: { videoCodec: 'libx264', rateControl: 'crf', crf: 20, preset: 'slow', pixFmt: 'yuv420p', fps: 30, audioCodec: 'aac', audioBitrate: '192k' }
+    },
+    'instagram-reels': {
+        name: 'Instagram Reels',
+        outDim: '1080x1920',
+        maxDuration: 180,
+        encoding: { videoCodec: 'libx264', rateControl: 'crf', crf: 21, preset: 'slow', pixFmt: 'yuv420p', fps: 30, audioCodec: 'aac', audioBitrate: '128k' }
+    },
+    'tiktok': {
+        name: 'TikTok',
+        outDim: '1080x1920',
+        maxDuration: 600,
+        encoding: { videoCodec: 'libx264', rateControl: 'crf', crf: 21, preset: 'slow', pixFmt: 'yuv420p', fps: 30, audioCodec: 'aac', audioBitrate: '128k' }
+    },
+    'instagram-stories': {
+        name: 'Instagram Stories',
+        outDim: '1080x1920',
+        maxDuration: 60,
+        encoding: { videoCodec: 'libx264', rateControl: 'crf', crf: 22, preset: 'medium', pixFmt: 'yuv420p', fps: 30, audioCodec: 'aac', audioBitrate: '128k' }
+    }
+};
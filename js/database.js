@@ -0,0 +1,34 @@
+// IndexedDB database shared by autosave snapshots and remembered file handles
+const DB_NAME = 'easyff';
+const DB_VERSION = 2;
+
+export const SNAPSHOT_STORE = 'snapshots';
+export const HANDLE_STORE = 'handles';
+
+export function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        // Version 1 only had the snapshot store
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(HANDLE_STORE)) {
+                db.createObjectStore(HANDLE_STORE, { keyPath: 'key' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against a store and resolve with its result
+export function storeRequest(db, storeName, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
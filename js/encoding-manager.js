@@ -0,0 +1,283 @@
+import { DOM_ELEMENTS, VIDEO_CODECS, AUDIO_CODECS, PIXEL_FORMATS, AUDIO_BITRATES, RATE_CONTROL, ENCODING_DEFAULTS } from './constants.js';
+import { createElementFromHTML } from './utils.js';
+
+// Read an encoding profile from a rendered `.encoding-profile` container
+export function readEncodingProfile(container) {
+    if (!container) return { ...ENCODING_DEFAULTS };
+
+    const value = (name) => container.querySelector(`.enc-${name}`)?.value;
+    return normalizeEncoding(Object.fromEntries(Object.keys(ENCODING_DEFAULTS).map(name => [name, value(name)])));
+}
+
+// Complete profile from form or file values, replacing anything the codec does not support
+export function normalizeEncoding(profile) {
+    const videoCodec = VIDEO_CODECS[profile.videoCodec] ? profile.videoCodec : ENCODING_DEFAULTS.videoCodec;
+    const codec = VIDEO_CODECS[videoCodec];
+    const crf = parseInt(profile.crf);
+    const fps = parseFloat(profile.fps);
+
+    return {
+        videoCodec,
+        rateControl: profile.rateControl === RATE_CONTROL.BITRATE ? RATE_CONTROL.BITRATE : RATE_CONTROL.CRF,
+        crf: isNaN(crf) ? codec.defaultCrf : Math.max(0, Math.min(codec.maxCrf, crf)),
+        bitrate: String(profile.bitrate || ENCODING_DEFAULTS.bitrate).trim(),
+        preset: codec.presets.includes(profile.preset) ? profile.preset : codec.defaultPreset,
+        pixFmt: profile.pixFmt || ENCODING_DEFAULTS.pixFmt,
+        fps: isNaN(fps) || fps <= 0 ? null : fps,
+        audioCodec: codec.audioCodecs.includes(profile.audioCodec) ? profile.audioCodec : codec.audioCodecs[0],
+        audioBitrate: profile.audioBitrate || ENCODING_DEFAULTS.audioBitrate
+    };
+}
+
+export function getProjectEncoding() {
+    return readEncodingProfile(document.querySelector(`${DOM_ELEMENTS.encodingDefaults} .encoding-profile`));
+}
+
+// The clip's own profile when it overrides the project default, otherwise null
+export function getClipEncodingOverride(tabId) {
+    const section = document.querySelector(`#${tabId} .clip-encoding`);
+    if (!section?.querySelector('.encoding-override')?.checked) return null;
+    return readEncodingProfile(section.querySelector('.encoding-profile'));
+}
+
+export function getOutputExtension(profile) {
+    return VIDEO_CODECS[profile.videoCodec]?.extension || 'mp4';
+}
+
+// ffmpeg output options for a profile, placed between the -map options and the output file
+export function buildEncodingArgs(profile) {
+    const args = [`-c:v ${profile.videoCodec}`];
+
+    if (profile.videoCodec === 'libvpx-vp9') {
+        args.push(`-deadline good -cpu-used ${profile.preset} -row-mt 1`);
+    } else {
+        args.push(`-preset ${profile.preset}`);
+    }
+
+    if (profile.rateControl === RATE_CONTROL.BITRATE) {
+        args.push(`-b:v ${profile.bitrate}`);
+    } else if (profile.videoCodec === 'libvpx-vp9') {
+        // VP9 only runs in constant quality mode with a zero target bitrate
+        args.push(`-crf ${profile.crf} -b:v 0`);
+    } else {
+        args.push(`-crf ${profile.crf}`);
+    }
+
+    if (profile.videoCodec === 'libx265') {
+        args.push('-tag:v hvc1');
+    }
+
+    args.push(`-pix_fmt ${profile.pixFmt}`);
+    if (profile.fps) {
+        args.push(`-r ${profile.fps}`);
+    }
+
+    args.push(`-c:a ${profile.audioCodec} -b:a ${profile.audioBitrate}`);
+
+    if (getOutputExtension(profile) === 'mp4') {
+        args.push('-movflags +faststart');
+    }
+
+    return args.join(' ');
+}
+
+export function describeEncoding(profile) {
+    const codec = VIDEO_CODECS[profile.videoCodec];
+    const rate = profile.rateControl === RATE_CONTROL.BITRATE ? profile.bitrate : `CRF ${profile.crf}`;
+    const fps = profile.fps ? ` · ${profile.fps} fps` : '';
+    return `${codec.label} · ${rate} · ${profile.preset}${fps} · ${AUDIO_CODECS[profile.audioCodec]} ${profile.audioBitrate}`;
+}
+
+export class EncodingManager {
+    constructor(projectModel, inputValidator) {
+        this.projectModel = projectModel;
+        this.inputValidator = inputValidator;
+
+        this.init();
+    }
+
+    init() {
+        const container = document.querySelector(DOM_ELEMENTS.encodingDefaults);
+        if (!container) return;
+
+        container.appendChild(this.createProfileElement(ENCODING_DEFAULTS));
+        this.setupProfileListeners(container.querySelector('.encoding-profile'), () => this.applyProjectEncoding());
+        this.applyProjectEncoding();
+    }
+
+    createProfileElement(profile) {
+        const codec = VIDEO_CODECS[profile.videoCodec] || VIDEO_CODECS[ENCODING_DEFAULTS.videoCodec];
+        const options = (values, selected, labels = {}) => values
+            .map(v => `<option value="${v}" ${String(v) === String(selected) ? 'selected' : ''}>${labels[v] || v}</option>`)
+            .join('');
+        const codecLabels = Object.fromEntries(Object.entries(VIDEO_CODECS).map(([id, c]) => [id, c.label]));
+        const isBitrate = profile.rateControl === RATE_CONTROL.BITRATE;
+
+        const html = `
+            <div class="encoding-profile grid">
+                <div>
+                    <label>Video Codec</label>
+                    <select class="enc-videoCodec">${options(Object.keys(VIDEO_CODECS), profile.videoCodec, codecLabels)}</select>
+                </div>
+                <div>
+                    <label>Rate Control</label>
+                    <select class="enc-rateControl">
+                        <option value="${RATE_CONTROL.CRF}" ${!isBitrate ? 'selected' : ''}>Constant quality (CRF)</option>
+                        <option value="${RATE_CONTROL.BITRATE}" ${isBitrate ? 'selected' : ''}>Target bitrate</option>
+                    </select>
+                </div>
+                <div class="enc-crf-field" style="display:${isBitrate ? 'none' : 'block'};">
+                    <label>CRF</label>
+                    <input type="number" class="enc-crf" value="${profile.crf}" min="0" max="${codec.maxCrf}" step="1">
+                </div>
+                <div class="enc-bitrate-field" style="display:${isBitrate ? 'block' : 'none'};">
+                    <label>Video Bitrate</label>
+                    <input type="text" class="enc-bitrate" value="${profile.bitrate}" data-validate="bitrate">
+                </div>
+                <div>
+                    <label>Preset</label>
+                    <select class="enc-preset">${options(codec.presets, profile.preset)}</select>
+                </div>
+                <div>
+                    <label>Pixel Format</label>
+                    <select class="enc-pixFmt">${options(PIXEL_FORMATS, profile.pixFmt)}</select>
+                </div>
+                <div>
+                    <label>Frame Rate</label>
+                    <input type="number" class="enc-fps" value="${profile.fps || ''}" min="1" max="240" step="any" placeholder="Source" data-validate="number" data-validate-options='{"min": 1, "max": 240, "allowEmpty": true}'>
+                </div>
+                <div>
+                    <label>Audio Codec</label>
+                    <select class="enc-audioCodec">${options(codec.audioCodecs, profile.audioCodec, AUDIO_CODECS)}</select>
+                </div>
+                <div>
+                    <label>Audio Bitrate</label>
+                    <select class="enc-audioBitrate">${options(AUDIO_BITRATES, profile.audioBitrate)}</select>
+                </div>
+            </div>
+        `;
+
+        return createElementFromHTML(html);
+    }
+
+    setupProfileListeners(profileEl, onChange) {
+        profileEl.querySelector('.enc-videoCodec').addEventListener('change', () => {
+            this.syncCodecOptions(profileEl);
+        });
+
+        profileEl.querySelector('.enc-rateControl').addEventListener('change', (e) => {
+            const isBitrate = e.target.value === RATE_CONTROL.BITRATE;
+            profileEl.querySelector('.enc-crf-field').style.display = isBitrate ? 'none' : 'block';
+            profileEl.querySelector('.enc-bitrate-field').style.display = isBitrate ? 'block' : 'none';
+        });
+
+        profileEl.querySelectorAll('select, input').forEach(field => {
+            field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', onChange);
+        });
+
+        if (this.inputValidator) {
+            profileEl.querySelectorAll('[data-validate]').forEach(input => {
+                const options = JSON.parse(input.dataset.validateOptions || '{}');
+                this.inputValidator.setupInputValidation(input, input.dataset.validate, options);
+            });
+        }
+    }
+
+    // Presets, CRF range and audio codecs depend on the selected video codec
+    syncCodecOptions(profileEl) {
+        const codec = VIDEO_CODECS[profileEl.querySelector('.enc-videoCodec').value];
+        const presetSelect = profileEl.querySelector('.enc-preset');
+        const audioSelect = profileEl.querySelector('.enc-audioCodec');
+        const crfInput = profileEl.querySelector('.enc-crf');
+
+        presetSelect.innerHTML = codec.presets
+            .map(p => `<option value="${p}" ${p === codec.defaultPreset ? 'selected' : ''}>${p}</option>`)
+            .join('');
+
+        const currentAudio = audioSelect.value;
+        audioSelect.innerHTML = codec.audioCodecs
+            .map(a => `<option value="${a}" ${a === currentAudio ? 'selected' : ''}>${AUDIO_CODECS[a]}</option>`)
+            .join('');
+
+        crfInput.max = codec.maxCrf;
+        crfInput.value = codec.defaultCrf;
+    }
+
+    replaceProfileElement(oldEl, profile, onChange) {
+        const newEl = this.createProfileElement({ ...ENCODING_DEFAULTS, ...profile });
+        oldEl.replaceWith(newEl);
+        this.setupProfileListeners(newEl, onChange);
+        return newEl;
+    }
+
+    setProjectProfile(profile) {
+        const container = document.querySelector(DOM_ELEMENTS.encodingDefaults);
+        this.replaceProfileElement(container.querySelector('.encoding-profile'), profile, () => this.applyProjectEncoding());
+        this.applyProjectEncoding();
+    }
+
+    createClipEncodingElement(tabId, override = null) {
+        const html = `
+            <details class="clip-encoding">
+                <summary>Encoding: <span class="encoding-summary"></span></summary>
+                <label class="encoding-override-label">
+                    <input type="checkbox" class="encoding-override" ${override ? 'checked' : ''}>
+                    Override project encoding for this clip
+                </label>
+            </details>
+        `;
+        const section = createElementFromHTML(html);
+        const profileEl = this.createProfileElement({ ...getProjectEncoding(), ...override });
+        section.appendChild(profileEl);
+        this.setupProfileListeners(profileEl, () => this.refreshClip(tabId, section));
+
+        // Start an override from the current project profile
+        section.querySelector('.encoding-override').addEventListener('change', () => {
+            this.syncClipWithProject(tabId, section);
+            this.refreshClip(tabId, section);
+        });
+
+        this.updateClipSection(section);
+        return section;
+    }
+
+    syncClipWithProject(tabId, section) {
+        this.replaceProfileElement(section.querySelector('.encoding-profile'), getProjectEncoding(),
+            () => this.refreshClip(tabId, section));
+    }
+
+    refreshClip(tabId, section) {
+        this.updateClipSection(section);
+        this.projectModel.updateClip(tabId, { encoding: getClipEncodingOverride(tabId) });
+    }
+
+    updateClipSection(section) {
+        const overridden = section.querySelector('.encoding-override').checked;
+        const profileEl = section.querySelector('.encoding-profile');
+        profileEl.querySelectorAll('select, input').forEach(field => {
+            field.disabled = !overridden;
+        });
+
+        const profile = overridden ? readEncodingProfile(profileEl) : getProjectEncoding();
+        section.querySelector('.encoding-summary').textContent =
+            `${describeEncoding(profile)}${overridden ? '' : ' (project default)'}`;
+    }
+
+    applyProjectEncoding() {
+        document.querySelectorAll('.tab-button').forEach(btn => {
+            const tabId = btn.id.replace('tabbtn-', '');
+            const section = document.querySelector(`#${tabId} .clip-encoding`);
+
+            // Clips following the default show its current values
+            if (section && !section.querySelector('.encoding-override').checked) {
+                this.syncClipWithProject(tabId, section);
+            }
+
+            if (section) {
+                this.updateClipSection(section);
+            }
+        });
+
+        this.projectModel.setSettings({ encoding: getProjectEncoding() });
+    }
+}
@@ -0,0 +1,211 @@
+import { DOM_ELEMENTS, DEFAULTS } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+
+// Fields whose events are not project edits
+const IGNORED_FIELDS = `${DOM_ELEMENTS.videoFile}, ${DOM_ELEMENTS.videoSeek}, ${DOM_ELEMENTS.audioPanel}, ${DOM_ELEMENTS.shotPanel}, ${DOM_ELEMENTS.previewLoop}, ${DOM_ELEMENTS.historyPanel}`;
+
+// Undo/redo over whole-project snapshots. Structural changes are recorded by the managers
+// making them; field edits are picked up here and grouped while the same field is edited
+export class HistoryManager {
+    constructor() {
+        this.entries = [];
+        this.index = -1;
+        this.projectManager = null;
+        this.tabManager = null;
+        this.videoPreview = null;
+        this.restoring = false;
+        this.batchDepth = 0;
+        this.pendingLabel = null;
+        this.pendingTimer = null;
+        this.listeners = [];
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        // Capture also sees the non-bubbling events the preview fires on scene fields
+        ['input', 'change'].forEach(type => {
+            document.addEventListener(type, (e) => this.handleFieldEdit(e.target), true);
+        });
+
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+
+        document.querySelector(DOM_ELEMENTS.historyList)?.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-index]');
+            if (item) {
+                ErrorHandler.safe(() => this.goTo(parseInt(item.dataset.index)), 'Failed to restore history entry');
+            }
+        });
+    }
+
+    // Recording starts from the state the app opened with
+    attach(projectManager, tabManager, videoPreview) {
+        this.projectManager = projectManager;
+        this.tabManager = tabManager;
+        this.videoPreview = videoPreview;
+        this.entries = [];
+        this.index = -1;
+        this.record('Open');
+    }
+
+    // Listeners are called with the current entry whenever the project state changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        const entry = this.getCurrentEntry();
+        this.listeners.forEach(listener => listener(entry));
+    }
+
+    getCurrentEntry() {
+        return this.entries[this.index] || null;
+    }
+
+    // Flag the current state as written to a project file
+    markSaved() {
+        this.flush();
+        this.entries.forEach(entry => { entry.saved = false; });
+        const entry = this.getCurrentEntry();
+        if (!entry) return;
+
+        entry.saved = true;
+        this.render();
+        this.notify();
+    }
+
+    handleFieldEdit(target) {
+        if (this.restoring || !this.projectManager) return;
+        if (!target.matches?.('input, select') || target.closest(IGNORED_FIELDS)) return;
+
+        const label = this.describeField(target);
+        if (this.pendingLabel && this.pendingLabel !== label) {
+            this.flush();
+        }
+
+        clearTimeout(this.pendingTimer);
+        this.pendingLabel = label;
+        this.pendingTimer = setTimeout(() => this.flush(), DEFAULTS.HISTORY_GROUP_DELAY);
+    }
+
+    describeField(target) {
+        const field = target.closest('div')?.querySelector(':scope > label')?.textContent.trim().replace(/\?$/, '') || 'settings';
+        const sceneEl = target.closest('.scene');
+        if (!sceneEl) return `Edit ${field}`;
+
+        const scenes = Array.from(sceneEl.parentNode.querySelectorAll('.scene'));
+        return `Edit scene ${scenes.indexOf(sceneEl) + 1} ${field}`;
+    }
+
+    handleShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        // Text fields keep the browser's own undo for what is being typed
+        if (e.target.matches?.('textarea, input[type="text"]')) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    flush() {
+        if (!this.pendingLabel) return;
+        const label = this.pendingLabel;
+        this.record(label);
+    }
+
+    // Group several recorded changes, such as a new clip and its first scene, into one entry
+    batch(label, fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            this.record(label);
+        }
+    }
+
+    record(label) {
+        clearTimeout(this.pendingTimer);
+        this.pendingLabel = null;
+        if (this.restoring || this.batchDepth > 0 || !this.projectManager) return;
+
+        const json = JSON.stringify(this.projectManager.getProjectData(false));
+        if (json === this.entries[this.index]?.json) return;
+
+        // A new change drops everything that was undone
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push({ label, json });
+        if (this.entries.length > DEFAULTS.MAX_HISTORY) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        this.render();
+        this.notify();
+    }
+
+    undo() {
+        this.flush();
+        if (this.index > 0) {
+            this.goTo(this.index - 1);
+        }
+    }
+
+    redo() {
+        this.flush();
+        if (this.index < this.entries.length - 1) {
+            this.goTo(this.index + 1);
+        }
+    }
+
+    goTo(index) {
+        const entry = this.entries[index];
+        if (!entry || index === this.index) return;
+
+        // Keep the same clip and scene in view when they still exist
+        const tabIds = this.tabManager.getAllTabs().map(tab => tab.id);
+        const activeTabIndex = tabIds.indexOf(this.tabManager.getActiveTab());
+        const selectedIndex = Array.from(document.querySelectorAll('.scene')).indexOf(this.videoPreview.selectedScene);
+
+        this.restoring = true;
+        try {
+            this.projectManager.loadProjectData(JSON.parse(entry.json));
+
+            const tabs = this.tabManager.getAllTabs();
+            const activeTab = tabs[Math.min(activeTabIndex, tabs.length - 1)];
+            if (activeTab) {
+                this.tabManager.setActiveTab(activeTab.id);
+            }
+            this.videoPreview.selectScene(document.querySelectorAll('.scene')[selectedIndex] || null);
+        } finally {
+            this.restoring = false;
+        }
+
+        this.index = index;
+        this.render();
+        this.notify();
+    }
+
+    render() {
+        const list = document.querySelector(DOM_ELEMENTS.historyList);
+        if (list) {
+            list.innerHTML = this.entries
+                .map((entry, i) => `<li data-index="${i}" class="${i === this.index ? 'current' : ''} ${i > this.index ? 'undone' : ''}">${entry.label}${entry.saved ? ' 💾' : ''}</li>`)
+                .join('');
+        }
+
+        document.querySelector('[data-action="undo"]')?.toggleAttribute('disabled', this.index <= 0);
+        document.querySelector('[data-action="redo"]')?.toggleAttribute('disabled', this.index >= this.entries.length - 1);
+    }
+}
@@ -88,7 +88,20 @@ export class InputValidator {
             return { valid: true, value: standardized };
         });
 
-        // Filename validator
+        // Bitrate validator (e.g. 4M, 2500k)
+        this.addValidator('bitrate', (value) => {
+            if (!value.trim()) return { valid: false, error: 'Bitrate is required' };
+
+            const match = value.trim().match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+            if (!match || parseFloat(match[1]) <= 0) {
+                return { valid: false, error: 'Bitrate must be a number with an optional k or M suffix (e.g., 4M)' };
+            }
+
+            const suffix = match[2].toUpperCase() === 'M' ? 'M' : match[2].toLowerCase();
+            return { valid: true, value: `${match[1]}${suffix}` };
+        });
+
+                // Filename validator
         this.addValidator('filename', (value) => {
             if (!value.trim()) return { valid: false, error: 'Filename is required' };
             
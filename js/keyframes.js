@@ -0,0 +1,95 @@
+// Crop keyframe helpers
+import { PAN_METHODS } from './constants.js';
+
+// Keyframes are stored on the scene element as JSON in a hidden input,
+// as a list of { time, h, v } with time in source seconds and h/v crop percentages.
+// Keyframes suggested by auto reframe also carry auto: true
+export function getKeyframes(sceneEl) {
+    const input = sceneEl?.querySelector('.keyframes');
+    if (!input || !input.value) return [];
+
+    try {
+        const keyframes = JSON.parse(input.value);
+        return Array.isArray(keyframes) ? sortKeyframes(keyframes) : [];
+    } catch (error) {
+        console.warn('Invalid keyframe data on scene:', error);
+        return [];
+    }
+}
+
+export function setKeyframes(sceneEl, keyframes) {
+    const input = sceneEl.querySelector('.keyframes');
+    input.value = JSON.stringify(sortKeyframes(keyframes));
+
+    // Trigger scene update
+    input.dispatchEvent(new Event('input'));
+}
+
+export function sortKeyframes(keyframes) {
+    return keyframes
+        .map(kf => ({ time: +kf.time, h: +kf.h, v: kf.v === undefined ? 50 : +kf.v, ...(kf.auto ? { auto: true } : {}) }))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Insert a keyframe, replacing any existing one closer than `tolerance` seconds
+export function upsertKeyframe(keyframes, keyframe, tolerance) {
+    const others = keyframes.filter(kf => Math.abs(kf.time - keyframe.time) >= tolerance);
+    return sortKeyframes([...others, keyframe]);
+}
+
+export function removeKeyframeNear(keyframes, time, tolerance) {
+    return keyframes.filter(kf => Math.abs(kf.time - time) >= tolerance);
+}
+
+function easeProgress(progress, method) {
+    return method === PAN_METHODS.LINEAR ? progress : (1 - Math.cos(Math.PI * progress)) / 2;
+}
+
+// Crop percentages { h, v } at a source time, holding the first/last value outside the keyframe range
+export function interpolateKeyframes(keyframes, time, method = PAN_METHODS.LINEAR) {
+    if (keyframes.length === 0) return null;
+
+    const first = keyframes[0];
+    if (time <= first.time) return { h: first.h, v: first.v };
+
+    for (let i = 0; i < keyframes.length - 1; i++) {
+        const a = keyframes[i];
+        const b = keyframes[i + 1];
+        if (time < b.time) {
+            const progress = easeProgress((time - a.time) / (b.time - a.time), method);
+            return { h: a.h + (b.h - a.h) * progress, v: a.v + (b.v - a.v) * progress };
+        }
+    }
+
+    const last = keyframes[keyframes.length - 1];
+    return { h: last.h, v: last.v };
+}
+
+/**
+ * Build a piecewise ffmpeg expression following the keyframes.
+ * @param {Array<{time: number, h: number, v: number}>} keyframes - Sorted keyframes in source time
+ * @param {number} sceneStart - Source time the scene's `t` is relative to
+ * @param {string} method - Interpolation between keyframes (PAN_METHODS)
+ * @param {string} axis - Keyframe field to follow, 'h' or 'v'
+ * @param {function(number): string} positionExpr - Maps a 0..1 fraction to a position expression
+ * @returns {string}
+ */
+export function buildKeyframeExpr(keyframes, sceneStart, method, axis, positionExpr) {
+    const points = keyframes.map(kf => ({
+        t: +(kf.time - sceneStart).toFixed(3),
+        x: positionExpr(kf[axis] / 100)
+    }));
+
+    let expr = points[points.length - 1].x;
+    for (let i = points.length - 2; i >= 0; i--) {
+        const a = points[i];
+        const b = points[i + 1];
+        const span = +(b.t - a.t).toFixed(3);
+        const progress = method === PAN_METHODS.LINEAR
+            ? `(t-${a.t})/${span}`
+            : `(1-cos(PI*(t-${a.t})/${span}))/2`;
+        expr = `if(lt(t,${b.t}),${a.x}+(${b.x}-(${a.x}))*${progress},${expr})`;
+    }
+
+    return `if(lt(t,${points[0].t}),${points[0].x},${expr})`;
+}
@@ -0,0 +1,190 @@
+import { DOM_ELEMENTS, DEFAULTS } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { isValidDimensions } from './utils.js';
+
+// Source videos of the project as [{ id, file, inDim }], read from the source picker.
+// The active source's filename and dimensions live in the Input File/Dimensions fields
+export function getSources() {
+    const inputName = document.querySelector(DOM_ELEMENTS.inputName).value;
+    const inDim = document.querySelector(DOM_ELEMENTS.inDim).value;
+    const options = Array.from(document.querySelector(DOM_ELEMENTS.activeSource)?.options || []);
+
+    if (options.length === 0) {
+        return [{ id: DEFAULTS.SOURCE_ID, file: inputName, inDim }];
+    }
+
+    return options.map(option => ({
+        id: option.value,
+        file: option.dataset.active ? inputName : option.dataset.file,
+        inDim: option.dataset.active ? inDim : option.dataset.inDim
+    }));
+}
+
+export function getActiveSourceId() {
+    return document.querySelector(`${DOM_ELEMENTS.activeSource} option[data-active]`)?.value || DEFAULTS.SOURCE_ID;
+}
+
+// Source a scene reads from; scenes of single-source projects use the only source
+export function getSceneSource(scene, sources) {
+    return sources.find(source => source.id === scene?.source) || sources[0];
+}
+
+// Source picked on a scene element, falling back the same way
+export function getSceneSourceId(sceneEl) {
+    return getSceneSource({ source: sceneEl?.querySelector('.source')?.value }, getSources()).id;
+}
+
+export function renderSourceOptions(selectedId) {
+    const sources = getSources();
+    return sources
+        .map(s => `<option value="${s.id}" ${s.id === selectedId ? 'selected' : ''}>${s.file}</option>`)
+        .join('');
+}
+
+export class MediaBinManager {
+    constructor(projectModel, videoPreview) {
+        this.projectModel = projectModel;
+        this.videoPreview = videoPreview;
+        this.sourceCount = 1;
+
+        this.init();
+    }
+
+    init() {
+        this.renderOptions([{
+            id: DEFAULTS.SOURCE_ID,
+            file: document.querySelector(DOM_ELEMENTS.inputName).value,
+            inDim: document.querySelector(DOM_ELEMENTS.inDim).value
+        }], DEFAULTS.SOURCE_ID);
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.querySelector(DOM_ELEMENTS.activeSource)?.addEventListener('change', (e) => {
+            ErrorHandler.safe(() => this.switchSource(e.target.value), 'Failed to switch source');
+        });
+
+        // Edits to the input fields belong to the active source
+        [DOM_ELEMENTS.inputName, DOM_ELEMENTS.inDim].forEach(selector => {
+            document.querySelector(selector)?.addEventListener('input', () => this.syncActiveSource());
+        });
+    }
+
+    renderOptions(sources, activeId) {
+        const select = document.querySelector(DOM_ELEMENTS.activeSource);
+        if (!select) return;
+
+        select.innerHTML = sources
+            .map(s => `<option value="${s.id}" data-file="${s.file}" data-in-dim="${s.inDim}" ${s.id === activeId ? 'selected data-active="true"' : ''}>${s.file}</option>`)
+            .join('');
+
+        document.querySelector('[data-action="remove-source"]')?.toggleAttribute('disabled', sources.length < 2);
+        this.updateSceneSourceFields();
+        this.publish();
+    }
+
+    // Input sizes still being typed are kept back until they parse
+    publish() {
+        const inDim = document.querySelector(DOM_ELEMENTS.inDim).value;
+        if (!isValidDimensions(inDim)) return;
+
+        this.projectModel.setSettings({
+            inputName: document.querySelector(DOM_ELEMENTS.inputName).value,
+            inDim,
+            ...this.getProjectData()
+        });
+    }
+
+    syncActiveSource() {
+        const option = document.querySelector(`${DOM_ELEMENTS.activeSource} option[data-active]`);
+        if (option) {
+            option.dataset.file = document.querySelector(DOM_ELEMENTS.inputName).value;
+            option.dataset.inDim = document.querySelector(DOM_ELEMENTS.inDim).value;
+            option.textContent = option.dataset.file;
+        }
+
+        this.updateSceneSourceFields();
+        this.publish();
+    }
+
+    // Scene source pickers list the bin and only show once there is a choice
+    updateSceneSourceFields() {
+        const multiple = getSources().length > 1;
+        document.querySelectorAll('.scene').forEach(sceneEl => {
+            const select = sceneEl.querySelector('.source');
+            select.innerHTML = renderSourceOptions(getSceneSourceId(sceneEl));
+            sceneEl.querySelector('.sourceField').style.display = multiple ? 'block' : 'none';
+        });
+    }
+
+    addSource() {
+        const sources = getSources();
+        let id;
+        do {
+            id = `source${++this.sourceCount}`;
+        } while (sources.some(s => s.id === id));
+
+        // Starts as a copy of the active source's settings until its video is loaded
+        const active = sources.find(s => s.id === getActiveSourceId());
+        const file = `${id}${active.file.match(/\.[^.]+$/)?.[0] || '.mp4'}`;
+        this.projectModel.batch(() => {
+            this.renderOptions([...sources, { id, file, inDim: active.inDim }], active.id);
+            this.switchSource(id);
+        });
+    }
+
+    removeActiveSource() {
+        const sources = getSources();
+        const activeId = getActiveSourceId();
+        if (sources.length < 2) return;
+
+        const inUse = this.projectModel.getClips()
+            .some(clip => clip.scenes.some(scene => getSceneSource(scene, sources).id === activeId));
+        if (inUse) {
+            throw new Error('This source is used by scenes. Move them to another source first.');
+        }
+
+        const remaining = sources.filter(s => s.id !== activeId);
+        this.projectModel.batch(() => {
+            this.switchSource(remaining[0].id);
+            this.renderOptions(remaining, remaining[0].id);
+        });
+        this.videoPreview.forgetSource(activeId);
+    }
+
+    switchSource(sourceId) {
+        const sources = getSources();
+        const target = sources.find(s => s.id === sourceId);
+        if (!target) return;
+
+        // The picker and the input fields only agree again once both are updated
+        this.projectModel.batch(() => {
+            this.renderOptions(sources, sourceId);
+            document.querySelector(DOM_ELEMENTS.inputName).value = target.file;
+            document.querySelector(DOM_ELEMENTS.inDim).value = target.inDim;
+            this.publish();
+        });
+
+        this.videoPreview.showSource(sourceId, target.file);
+    }
+
+    getProjectData() {
+        return {
+            sources: getSources(),
+            activeSource: getActiveSourceId()
+        };
+    }
+
+    // Sources are restored before the clips so scenes can pick theirs
+    loadFromData(data) {
+        const inputName = data.inputName || DEFAULTS.INPUT_FILE;
+        const inDim = data.inDim || DEFAULTS.INPUT_DIMENSIONS;
+        const sources = Array.isArray(data.sources) && data.sources.length > 0
+            ? data.sources
+            : [{ id: DEFAULTS.SOURCE_ID, file: inputName, inDim }];
+        const activeId = sources.some(s => s.id === data.activeSource) ? data.activeSource : sources[0].id;
+
+        this.sourceCount = sources.length;
+        this.renderOptions(sources.map(s => s.id === activeId ? { ...s, file: inputName, inDim } : s), activeId);
+    }
+}
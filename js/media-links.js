@@ -0,0 +1,190 @@
+import { DOM_ELEMENTS, DEFAULTS } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { openDatabase, storeRequest, HANDLE_STORE } from './database.js';
+
+const VIDEO_PICKER_TYPES = [{
+    description: 'Video files',
+    accept: { 'video/*': ['.mp4', '.webm', '.ogg', '.avi', '.mov', '.mkv'] }
+}];
+
+// Videos are remembered per source, so sources sharing a filename keep their own files. The
+// filename is part of the key as source ids repeat from project to project
+function videoKey(sourceId, fileName) {
+    return `video:${sourceId}:${fileName}`;
+}
+
+// Links stored before they were kept per source
+function legacyVideoKey(fileName) {
+    return `video:${fileName}`;
+}
+
+// Duration and size of a video file, read without showing it
+function readVideoMetadata(url) {
+    const video = document.createElement('video');
+    video.preload = 'metadata';
+    return new Promise((resolve, reject) => {
+        video.addEventListener('loadedmetadata', () => {
+            resolve({ duration: video.duration, width: video.videoWidth, height: video.videoHeight });
+        }, { once: true });
+        video.addEventListener('error', () => reject(new Error('The video could not be read')), { once: true });
+        video.src = url;
+    }).finally(() => video.removeAttribute('src'));
+}
+
+// Stored handles start without permission; asking for it needs a recent click
+export async function hasPermission(handle, mode = 'read') {
+    if (await handle.queryPermission({ mode }) === 'granted') return true;
+    return await handle.requestPermission({ mode }) === 'granted';
+}
+
+// Remembers the source videos as File System Access handles in IndexedDB, so an opened
+// project reattaches its videos instead of asking for them again. Every reattached video is
+// checked as the project opens, whether or not it is on show.
+// Video records are { key, handle, name, size, duration }, kept to check a reattached file
+export class MediaLinkManager {
+    constructor(videoPreview, projectModel) {
+        this.videoPreview = videoPreview;
+        this.projectModel = projectModel;
+        this.db = null;
+        this.picked = null;
+        this.waiting = [];
+        this.ready = this.init();
+    }
+
+    async init() {
+        // Without the picker there are no handles to keep
+        if (!window.indexedDB || !window.showOpenFilePicker) return;
+
+        try {
+            this.db = await openDatabase();
+        } catch (error) {
+            console.warn('Video relinking is disabled:', error);
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // The file input gives no handle, so open the picker in its place
+        document.querySelector(DOM_ELEMENTS.videoFile)?.addEventListener('click', (e) => {
+            e.preventDefault();
+            ErrorHandler.safeAsync(() => this.pickVideo(), 'Failed to open video');
+        });
+
+        this.videoPreview.onVideoLoaded(info => {
+            ErrorHandler.safeAsync(() => this.handleVideoLoaded(info), 'Failed to remember video');
+        });
+    }
+
+    async pickVideo() {
+        let handle;
+        try {
+            [handle] = await window.showOpenFilePicker({ types: VIDEO_PICKER_TYPES });
+        } catch (error) {
+            if (error.name === 'AbortError') return; // User cancelled
+            throw error;
+        }
+
+        // Stored once the video has loaded and its duration is known
+        const file = await handle.getFile();
+        this.picked = { handle, file };
+        this.videoPreview.loadFile(file);
+    }
+
+    async handleVideoLoaded({ sourceId, name, duration }) {
+        if (this.picked?.file.name !== name) return;
+
+        const { handle, file } = this.picked;
+        this.picked = null;
+        await storeRequest(this.db, HANDLE_STORE, 'readwrite', store => store.put({
+            key: videoKey(sourceId, name), handle, name, size: file.size, duration
+        }));
+    }
+
+    // Reattach the remembered video of every project source that has none loaded yet
+    async relinkSources() {
+        await this.ready;
+        if (!this.db) return;
+
+        const { sources } = this.projectModel.getSettings();
+        this.waiting = [];
+        for (const source of sources) {
+            if (this.videoPreview.sourceVideos[source.id]) continue;
+            const record = await storeRequest(this.db, HANDLE_STORE, 'readonly', store => store.get(videoKey(source.id, source.file)))
+                || await storeRequest(this.db, HANDLE_STORE, 'readonly', store => store.get(legacyVideoKey(source.file)));
+            if (record) {
+                this.waiting.push({ source, record });
+            }
+        }
+
+        await this.relinkWaiting();
+    }
+
+    // Also run from the Reconnect button when permission could not be asked for without a click
+    async relinkWaiting() {
+        const waiting = this.waiting;
+        this.waiting = [];
+
+        for (const link of waiting) {
+            try {
+                if (await hasPermission(link.record.handle)) {
+                    await this.attach(link);
+                } else {
+                    this.waiting.push(link);
+                }
+            } catch (error) {
+                if (error.name === 'SecurityError') {
+                    this.waiting.push(link);
+                } else if (error.name === 'NotFoundError') {
+                    // The file was moved or deleted; the record is no use any more
+                    await storeRequest(this.db, HANDLE_STORE, 'readwrite', store => store.delete(link.record.key));
+                    ErrorHandler.showError(`${link.source.file} is no longer where it was linked from. Please load it again.`, 'Video not found');
+                } else {
+                    throw error;
+                }
+            }
+        }
+
+        this.renderRelinkButton();
+    }
+
+    async attach({ source, record }) {
+        const file = await record.handle.getFile();
+        if (file.name !== source.file) {
+            ErrorHandler.showError(`The linked file is now called ${file.name}, not ${source.file}. Please load the video again.`, 'Video not reattached');
+            return;
+        }
+        if (file.size !== record.size) {
+            ErrorHandler.showError(`${file.name} has changed size since it was linked. Check that it is the same video.`, 'Video changed');
+        }
+
+        this.videoPreview.loadFile(file, source.id);
+        const stored = this.videoPreview.sourceVideos[source.id];
+        if (!stored) return;
+
+        // Checked against what was stored and what the project expects
+        let metadata;
+        try {
+            metadata = await readVideoMetadata(stored.url);
+        } catch (error) {
+            ErrorHandler.showError(`${file.name} could not be read. Please load it again.`, 'Video not reattached');
+            return;
+        }
+        const { duration, width, height } = metadata;
+        if (Math.abs(duration - record.duration) > DEFAULTS.RELINK_DURATION_TOLERANCE) {
+            ErrorHandler.showError(`${file.name} is ${duration.toFixed(2)}s long but was ${record.duration.toFixed(2)}s when it was linked. Check that it is the same video.`, 'Video changed');
+        }
+        if (`${width}x${height}` !== source.inDim.replace(/\s/g, '')) {
+            ErrorHandler.showError(`${file.name} is ${width}x${height} but the project was set up for ${source.inDim}. Crop positions may need checking.`, 'Video dimensions changed');
+        }
+    }
+
+    renderRelinkButton() {
+        const button = document.querySelector(DOM_ELEMENTS.relinkVideos);
+        if (!button) return;
+
+        button.style.display = this.waiting.length > 0 ? 'inline-block' : 'none';
+        button.textContent = `🔗 Reconnect ${this.waiting.map(link => link.source.file).join(', ')}`;
+    }
+}
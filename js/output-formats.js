@@ -0,0 +1,213 @@
+import { DOM_ELEMENTS, DEFAULTS } from './constants.js';
+import { sanitizeFilename, isValidDimensions } from './utils.js';
+import { ErrorHandler } from './error-handler.js';
+import { getKeyframes } from './keyframes.js';
+
+// Scene fields that hold a crop per output format; keyframes are kept per format too
+export const FORMAT_CROP_FIELDS = ['hCrop', 'vCrop', 'hCropEnd', 'vCropEnd', 'zoom', 'zoomEnd'];
+
+// Output formats of the project as [{ id, name, outDim }], read from the format picker.
+// The active format's dimensions are whatever the Output Dimensions field holds; it is
+// flagged separately from the selection, which changes before switchFormat runs
+export function getOutputFormats() {
+    const select = document.querySelector(DOM_ELEMENTS.outputFormat);
+    const outDim = document.querySelector(DOM_ELEMENTS.outDim).value;
+    const options = Array.from(select?.options || []);
+
+    if (options.length === 0) {
+        return [{ id: DEFAULTS.OUTPUT_FORMAT_ID, name: DEFAULTS.OUTPUT_FORMAT_NAME, outDim }];
+    }
+
+    return options.map(option => ({
+        id: option.value,
+        name: option.textContent,
+        outDim: option.dataset.active ? outDim : option.dataset.outDim
+    }));
+}
+
+export function getActiveFormatId() {
+    return document.querySelector(`${DOM_ELEMENTS.outputFormat} option[data-active]`)?.value || DEFAULTS.OUTPUT_FORMAT_ID;
+}
+
+// Crops of the other formats, kept on the scene element as JSON keyed by format id
+export function readStoredCrops(sceneEl) {
+    try {
+        return JSON.parse(sceneEl.querySelector('.formatCrops')?.value || '{}');
+    } catch (error) {
+        console.warn('Invalid format crop data on scene:', error);
+        return {};
+    }
+}
+
+// Crop values currently shown in the scene's fields
+export function readSceneCrop(sceneEl) {
+    const crop = { keyframes: getKeyframes(sceneEl) };
+    FORMAT_CROP_FIELDS.forEach(field => {
+        crop[field] = parseFloat(sceneEl.querySelector(`.${field}`).value);
+    });
+    return crop;
+}
+
+// Crop of a scene for an inactive format, or the active crop when formatId is null;
+// formats never edited yet start from the active crop
+export function getFormatCrop(scene, formatId = null) {
+    const crop = { keyframes: scene.keyframes || [] };
+    FORMAT_CROP_FIELDS.forEach(field => {
+        crop[field] = scene[field];
+    });
+    if (!formatId) return crop;
+
+    return { ...crop, ...scene.formatCrops?.[formatId] };
+}
+
+// Crops of the inactive formats, as saved in the project file
+export function getInactiveFormatCrops(formatCrops, formats, activeFormatId) {
+    const formatIds = formats.map(format => format.id);
+    return Object.fromEntries(Object.entries(formatCrops || {})
+        .filter(([id]) => id !== activeFormatId && formatIds.includes(id)));
+}
+
+export class OutputFormatManager {
+    constructor(projectModel, sceneManager, videoPreview) {
+        this.projectModel = projectModel;
+        this.sceneManager = sceneManager;
+        this.videoPreview = videoPreview;
+        this.activeFormatId = DEFAULTS.OUTPUT_FORMAT_ID;
+
+        this.init();
+    }
+
+    init() {
+        const outDim = document.querySelector(DOM_ELEMENTS.outDim).value;
+        this.renderOptions([{ id: DEFAULTS.OUTPUT_FORMAT_ID, name: DEFAULTS.OUTPUT_FORMAT_NAME, outDim }], DEFAULTS.OUTPUT_FORMAT_ID);
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.querySelector(DOM_ELEMENTS.outputFormat)?.addEventListener('change', (e) => {
+            ErrorHandler.safe(() => this.switchFormat(e.target.value), 'Failed to switch output format');
+        });
+
+        document.querySelector(DOM_ELEMENTS.outDim)?.addEventListener('input', (e) => {
+            const option = document.querySelector(`${DOM_ELEMENTS.outputFormat} option[data-active]`);
+            if (option) option.dataset.outDim = e.target.value;
+            this.publish();
+        });
+    }
+
+    renderOptions(formats, activeId) {
+        const select = document.querySelector(DOM_ELEMENTS.outputFormat);
+        if (!select) return;
+
+        select.innerHTML = formats
+            .map(f => `<option value="${f.id}" data-out-dim="${f.outDim}" ${f.id === activeId ? 'selected data-active="true"' : ''}>${f.name}</option>`)
+            .join('');
+        this.activeFormatId = select.value;
+
+        document.querySelector('[data-action="remove-output-format"]')?.toggleAttribute('disabled', formats.length < 2);
+        this.publish();
+    }
+
+    // Output sizes still being typed are kept back until they parse
+    publish() {
+        const outDim = document.querySelector(DOM_ELEMENTS.outDim).value;
+        if (!isValidDimensions(outDim)) return;
+
+        this.projectModel.setSettings({
+            outDim,
+            ...this.getProjectData()
+        });
+    }
+
+    addFormat() {
+        const name = prompt('Format name (e.g. Square):');
+        if (!name || !name.trim()) return;
+
+        const outDim = prompt('Output dimensions (WxH):', '1080x1080');
+        if (outDim === null) return;
+        ErrorHandler.validateDimensions(outDim.trim());
+
+        const formats = getOutputFormats();
+        const baseId = sanitizeFilename(name.trim()).toLowerCase();
+        let id = baseId;
+        for (let i = 2; formats.some(f => f.id === id); i++) {
+            id = `${baseId}-${i}`;
+        }
+
+        // Keep the current format active; the new one starts from its crops
+        this.renderOptions([...formats, { id, name: name.trim(), outDim: outDim.trim() }], this.activeFormatId);
+        this.switchFormat(id);
+    }
+
+    removeActiveFormat() {
+        const formats = getOutputFormats();
+        if (formats.length < 2) return;
+
+        const removed = formats.find(f => f.id === this.activeFormatId);
+        if (!confirm(`Remove output format "${removed.name}"? Its crop positions will be lost.`)) return;
+
+        const next = formats.find(f => f.id !== removed.id);
+        this.switchFormat(next.id);
+        this.renderOptions(formats.filter(f => f.id !== removed.id), next.id);
+    }
+
+    // Store every scene's crop under the old format and show the new format's crop
+    switchFormat(formatId) {
+        const formats = getOutputFormats();
+        const target = formats.find(f => f.id === formatId);
+        const previousId = this.activeFormatId;
+        if (!target) return;
+
+        // Every scene changes, so the commands are rebuilt once at the end
+        this.projectModel.batch(() => {
+            document.querySelectorAll('.scene').forEach(sceneEl => {
+                const stored = readStoredCrops(sceneEl);
+                const incoming = stored[formatId];
+                stored[previousId] = readSceneCrop(sceneEl);
+                delete stored[formatId];
+                sceneEl.querySelector('.formatCrops').value = JSON.stringify(stored);
+
+                if (incoming) {
+                    FORMAT_CROP_FIELDS.forEach(field => {
+                        if (incoming[field] !== undefined) {
+                            sceneEl.querySelector(`.${field}`).value = incoming[field];
+                        }
+                    });
+                    const keyframesInput = sceneEl.querySelector('.keyframes');
+                    keyframesInput.value = JSON.stringify(incoming.keyframes || []);
+                    keyframesInput.dispatchEvent(new Event('input'));
+                }
+            });
+
+            this.renderOptions(formats, formatId);
+
+            const outDim = document.querySelector(DOM_ELEMENTS.outDim);
+            outDim.value = target.outDim;
+            outDim.dispatchEvent(new Event('input'));
+
+            this.sceneManager.syncAllClips();
+        });
+
+        if (this.videoPreview.selectedScene) {
+            this.videoPreview.selectScene(this.videoPreview.selectedScene);
+        }
+    }
+
+    getProjectData() {
+        return {
+            outputFormats: getOutputFormats(),
+            activeFormat: this.activeFormatId
+        };
+    }
+
+    // Formats are restored before the clips so scenes can keep their per-format crops
+    loadFromData(data) {
+        const outDim = data.outDim || DEFAULTS.OUTPUT_DIMENSIONS;
+        const formats = Array.isArray(data.outputFormats) && data.outputFormats.length > 0
+            ? data.outputFormats
+            : [{ id: DEFAULTS.OUTPUT_FORMAT_ID, name: DEFAULTS.OUTPUT_FORMAT_NAME, outDim }];
+        const activeId = formats.some(f => f.id === data.activeFormat) ? data.activeFormat : formats[0].id;
+
+        this.renderOptions(formats.map(f => ({ ...f, outDim: f.id === activeId ? outDim : f.outDim })), activeId);
+    }
+}
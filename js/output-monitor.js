@@ -0,0 +1,248 @@
+import { DEFAULTS, DOM_ELEMENTS, FIT_MODES } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { fitWithin, seekVideoTo } from './utils.js';
+import { getGeometry, getCropAt } from './command-core.js';
+import { getRegions, getActiveRegion, getRegionLayout, getRegionCropSize } from './regions.js';
+import { readSceneData } from './scene-manager.js';
+import { getActiveSourceId, getSceneSource } from './media-bin.js';
+import { getSpeed } from './speed.js';
+
+/**
+ * Draw the output frame of a scene at a source time, framed the way buildSceneFilters frames it:
+ * crop or fit, zoom about the centre of the crop, pad colour or blurred background, split screen
+ * regions. The canvas may be smaller than the output; everything is scaled to its width.
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas with the output's aspect ratio
+ * @param {CanvasImageSource} video - Frame source, at the size geometry.inW × geometry.inH
+ * @param {Object} scene - Scene as held by the project model
+ * @param {number} time - Source time inside the scene
+ * @param {Object} geometry - As returned by getGeometry
+ */
+export function drawOutputFrame(ctx, video, scene, time, geometry) {
+    const { inW, inH, outW, outH } = geometry;
+    const { width, height } = ctx.canvas;
+    const scale = width / outW;
+    const fitMode = scene.fitMode || FIT_MODES.CROP;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    if (fitMode === FIT_MODES.STACK) {
+        const regions = scene.regions || [];
+        const { filter, slots } = getRegionLayout(regions, outW, outH);
+        let offset = 0;
+        regions.forEach((_, i) => {
+            const { cropW, cropH } = getRegionCropSize(slots[i], inW, inH);
+            const { h, v } = getCropAt(scene, time, geometry.cropFormatId, i);
+            const dx = filter === 'vstack' ? 0 : offset * scale;
+            const dy = filter === 'vstack' ? offset * scale : 0;
+            ctx.drawImage(video, (inW - cropW) * h / 100, (inH - cropH) * v / 100, cropW, cropH,
+                dx, dy, slots[i].w * scale, slots[i].h * scale);
+            offset += filter === 'vstack' ? slots[i].h : slots[i].w;
+        });
+        return;
+    }
+
+    const isFit = fitMode !== FIT_MODES.CROP;
+    const cropW = isFit ? inW : geometry.cropW;
+    const cropH = isFit ? inH : geometry.cropH;
+    const [fitW, fitH] = isFit ? fitWithin(inW, inH, outW, outH) : [outW, outH];
+    const { h, v, zoom } = getCropAt(scene, time, geometry.cropFormatId);
+    const zoomW = cropW / zoom;
+    const zoomH = cropH / zoom;
+    const sx = (inW - cropW) * h / 100 + (cropW - zoomW) / 2;
+    const sy = (inH - cropH) * v / 100 + (cropH - zoomH) / 2;
+
+    if (fitMode === FIT_MODES.BLUR) {
+        const cover = Math.max(width / inW, height / inH);
+        ctx.filter = `blur(${DEFAULTS.BLUR_RADIUS * scale}px)`;
+        ctx.drawImage(video, (width - inW * cover) / 2, (height - inH * cover) / 2, inW * cover, inH * cover);
+        ctx.filter = 'none';
+    } else if (fitMode === FIT_MODES.PAD) {
+        ctx.fillStyle = scene.padColor || DEFAULTS.PAD_COLOR;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    ctx.drawImage(video, sx, sy, zoomW, zoomH,
+        (width - fitW * scale) / 2, (height - fitH * scale) / 2, fitW * scale, fitH * scale);
+}
+
+// Second preview showing the frame viewers will get, drawn from the preview video at the output
+// size's aspect ratio. It redraws on every frame while the video plays, and can play the active
+// clip by jumping from scene to scene. Transitions show as cuts, and reversed scenes play forwards
+export class OutputMonitorManager {
+    constructor(videoPreview, projectModel, tabManager) {
+        this.videoPreview = videoPreview;
+        this.projectModel = projectModel;
+        this.tabManager = tabManager;
+        this.looping = false;
+        this.run = 0;
+        this.playingClip = false;
+
+        this.init();
+    }
+
+    init() {
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        video?.addEventListener('play', () => this.loop());
+        ['seeked', 'loadeddata'].forEach(type => video?.addEventListener(type, () => this.render()));
+        this.videoPreview.onCropChanged(() => this.render());
+        this.projectModel.subscribe(() => this.render());
+    }
+
+    loop() {
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        if (this.looping) return;
+        this.looping = true;
+
+        const tick = () => {
+            if (video.paused || video.ended) {
+                this.looping = false;
+                this.render();
+                return;
+            }
+            this.render();
+            requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    // Scene to draw: the selected one as saved while the video plays, so pans and keyframes move.
+    // While paused the crop window is shown as it stands, whether or not it has been set on the scene
+    getMonitorScene() {
+        const vp = this.videoPreview;
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const scene = vp.selectedScene
+            ? readSceneData(vp.selectedScene)
+            : { start: 0, end: video.duration, keyframes: [], regions: [] };
+        if (!video.paused && vp.selectedScene) return scene;
+
+        const active = vp.selectedScene ? getActiveRegion(vp.selectedScene) : -1;
+        return {
+            ...scene,
+            hCrop: vp.cropPercent,
+            vCrop: vp.cropPercentY,
+            zoom: vp.zoom,
+            hCropEnd: vp.cropPercentEnd,
+            vCropEnd: vp.cropPercentYEnd,
+            zoomEnd: vp.zoomEnd,
+            pan: vp.panMode,
+            fitMode: vp.fitMode,
+            padColor: vp.padColor,
+            regions: getRegions(vp.selectedScene).map((region, i) => i === active
+                ? { ...region, h: vp.cropPercent, v: vp.cropPercentY, hEnd: vp.cropPercentEnd, vEnd: vp.cropPercentYEnd }
+                : region)
+        };
+    }
+
+    render() {
+        const canvas = document.querySelector(DOM_ELEMENTS.monitorCanvas);
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const vp = this.videoPreview;
+        if (!canvas || !vp.videoLoaded) return;
+
+        // Measured from the video itself, since the project's input size may not match it yet.
+        // An unusable output size leaves the monitor blank
+        let geometry;
+        try {
+            geometry = getGeometry(this.projectModel.getSettings(), null, { inDim: `${vp.videoWidth}x${vp.videoHeight}` });
+        } catch (error) {
+            canvas.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+            return;
+        }
+        const height = Math.round(vp.displayHeight || DEFAULTS.FIT_PREVIEW_HEIGHT);
+        const width = Math.max(1, Math.round(height * geometry.outW / geometry.outH));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        if (!ctx || !(geometry.outW > 0 && geometry.outH > 0)) return;
+        drawOutputFrame(ctx, video, this.getMonitorScene(), video.currentTime, geometry);
+    }
+
+    async toggleClipPlayback() {
+        if (this.playingClip) {
+            this.run++;
+            document.querySelector(DOM_ELEMENTS.previewVideo).pause();
+            return;
+        }
+
+        const tabId = this.tabManager.getActiveTab();
+        const sceneEls = tabId ? [...document.querySelectorAll(`#${tabId} .scene`)] : [];
+        if (!this.videoPreview.videoLoaded || sceneEls.length === 0) {
+            alert('Please load a video and add scenes to the clip first.');
+            return;
+        }
+
+        const run = ++this.run;
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const button = document.querySelector(DOM_ELEMENTS.playClipBtn);
+        const info = document.querySelector(DOM_ELEMENTS.monitorInfo);
+        const name = this.projectModel.getClip(tabId)?.name || tabId;
+        video.pause();
+        this.playingClip = true;
+        button.textContent = '⏹ Stop Clip';
+
+        try {
+            for (let i = 0; i < sceneEls.length && run === this.run; i++) {
+                info.textContent = `${name} · scene ${i + 1} of ${sceneEls.length}`;
+                await this.playScene(sceneEls[i], run);
+            }
+        } finally {
+            this.playingClip = false;
+            video.pause();
+            video.playbackRate = 1;
+            button.textContent = '▶ Play Clip';
+            info.textContent = '';
+            document.querySelector(DOM_ELEMENTS.playPauseBtn).textContent = '▶ Play';
+        }
+    }
+
+    // Resolves when the scene has played to its end, or playback was stopped
+    async playScene(sceneEl, run) {
+        const scene = readSceneData(sceneEl);
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        if (!(scene.end > scene.start)) return;
+        if (!this.videoPreview.sourceVideos[scene.source]) {
+            const source = getSceneSource(scene, this.projectModel.getSettings().sources);
+            ErrorHandler.showError(`Skipped a scene of ${source.file}: load it in the preview to play it`);
+            return;
+        }
+
+        // Scenes from another source bring their video in first
+        if (scene.source !== getActiveSourceId() || !this.videoPreview.videoLoaded) {
+            const loaded = new Promise(resolve => video.addEventListener('loadedmetadata', resolve, { once: true }));
+            this.videoPreview.selectScene(sceneEl);
+            await loaded;
+        } else {
+            this.videoPreview.selectScene(sceneEl);
+        }
+        await seekVideoTo(video, scene.start);
+        if (run !== this.run) return;
+
+        const { speed, speedEnd } = getSpeed(scene);
+        video.playbackRate = speed;
+        await video.play();
+        document.querySelector(DOM_ELEMENTS.playPauseBtn).textContent = '⏸ Pause';
+
+        await new Promise(resolve => {
+            const check = () => {
+                // Pausing the video or picking another scene stops the clip
+                if (run !== this.run || video.paused && !video.ended || this.videoPreview.selectedScene !== sceneEl) {
+                    this.run++;
+                    resolve();
+                    return;
+                }
+                if (video.currentTime >= scene.end || video.ended) {
+                    resolve();
+                    return;
+                }
+                const progress = (video.currentTime - scene.start) / (scene.end - scene.start);
+                video.playbackRate = speed + (speedEnd - speed) * Math.min(1, Math.max(0, progress));
+                requestAnimationFrame(check);
+            };
+            check();
+        });
+    }
+}
@@ -0,0 +1,164 @@
+import { DOM_ELEMENTS, PLATFORM_PRESETS } from './constants.js';
+import { sanitizeFilename } from './utils.js';
+import { ErrorHandler } from './error-handler.js';
+import { getProjectEncoding } from './encoding-manager.js';
+
+// Maximum clip length of the project's preset in seconds, or null when there is no limit
+export function getMaxClipDuration({ platformPreset, customPresets = [] }) {
+    const preset = PLATFORM_PRESETS[platformPreset] || customPresets.find(p => p.id === platformPreset);
+    return preset?.maxDuration ? { seconds: preset.maxDuration, presetName: preset.name } : null;
+}
+
+export class PresetManager {
+    constructor(encodingManager, projectModel) {
+        this.encodingManager = encodingManager;
+        this.projectModel = projectModel;
+        this.customPresets = {};
+
+        this.init();
+    }
+
+    init() {
+        this.renderOptions();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.querySelector(DOM_ELEMENTS.platformPreset)?.addEventListener('change', (e) => {
+            this.applyPreset(e.target.value);
+        });
+    }
+
+    getAllPresets() {
+        return { ...PLATFORM_PRESETS, ...this.customPresets };
+    }
+
+    renderOptions(selectedId = document.querySelector(DOM_ELEMENTS.platformPreset)?.value || '') {
+        const select = document.querySelector(DOM_ELEMENTS.platformPreset);
+        if (!select) return;
+
+        const option = (id, preset) => `<option value="${id}" data-max-duration="${preset.maxDuration ?? ''}" ${id === selectedId ? 'selected' : ''}>${preset.name}</option>`;
+        const builtIn = Object.entries(PLATFORM_PRESETS).map(([id, p]) => option(id, p)).join('');
+        const custom = Object.entries(this.customPresets).map(([id, p]) => option(id, p)).join('');
+
+        select.innerHTML = `
+            <option value="" ${selectedId ? '' : 'selected'}>Custom (no preset)</option>
+            <optgroup label="Platforms">${builtIn}</optgroup>
+            ${custom ? `<optgroup label="Project presets">${custom}</optgroup>` : ''}
+        `;
+
+        document.querySelector('[data-action="remove-preset"]')?.toggleAttribute('disabled', !this.customPresets[selectedId]);
+        this.projectModel.setSettings(this.getProjectData());
+    }
+
+    applyPreset(presetId) {
+        const preset = this.getAllPresets()[presetId];
+
+        this.projectModel.batch(() => {
+            this.renderOptions(presetId);
+            if (!preset) return;
+
+            const outDim = document.querySelector(DOM_ELEMENTS.outDim);
+            outDim.value = preset.outDim;
+            outDim.dispatchEvent(new Event('input'));
+
+            if (preset.encoding) {
+                this.encodingManager.setProjectProfile(preset.encoding);
+            }
+        });
+    }
+
+    saveCurrentAsPreset() {
+        const name = prompt('Preset name:');
+        if (!name || !name.trim()) return;
+
+        const maxInput = prompt('Maximum clip length in seconds (leave empty for no limit):', '');
+        if (maxInput === null) return;
+
+        const maxDuration = maxInput.trim()
+            ? ErrorHandler.validateNumericInput(maxInput, 'Maximum clip length', { allowZero: false })
+            : null;
+        const outDim = document.querySelector(DOM_ELEMENTS.outDim).value;
+        ErrorHandler.validateDimensions(outDim);
+
+        const id = `custom-${sanitizeFilename(name.trim()).toLowerCase()}`;
+        this.customPresets[id] = {
+            name: name.trim(),
+            outDim,
+            maxDuration,
+            encoding: getProjectEncoding()
+        };
+
+        this.renderOptions(id);
+        ErrorHandler.showSuccess(`Preset "${name.trim()}" saved to this project`);
+    }
+
+    removeSelectedPreset() {
+        const select = document.querySelector(DOM_ELEMENTS.platformPreset);
+        const preset = this.customPresets[select.value];
+        if (!preset || !confirm(`Remove preset "${preset.name}"?`)) return;
+
+        delete this.customPresets[select.value];
+        this.renderOptions('');
+    }
+
+    importPresets() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const presets = JSON.parse(await file.text());
+                const list = Array.isArray(presets) ? presets : presets.presets;
+                if (!Array.isArray(list)) {
+                    throw new Error('File must contain an array of presets');
+                }
+
+                list.forEach((preset, index) => this.addCustomPreset(preset, index));
+                this.renderOptions();
+                ErrorHandler.showSuccess(`Imported ${list.length} preset(s)`);
+            } catch (error) {
+                ErrorHandler.showError(`Failed to import presets: ${error.message}`);
+            }
+        };
+        input.click();
+    }
+
+    addCustomPreset(preset, index = 0) {
+        if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+            throw new Error(`Preset ${index + 1} has invalid name`);
+        }
+
+        ErrorHandler.validateDimensions(preset.outDim);
+        if (preset.maxDuration !== undefined && preset.maxDuration !== null) {
+            ErrorHandler.validateNumericInput(preset.maxDuration, `Preset "${preset.name}" maximum length`, { allowZero: false });
+        }
+
+        const id = preset.id || `custom-${sanitizeFilename(preset.name.trim()).toLowerCase()}`;
+        this.customPresets[id] = {
+            name: preset.name.trim(),
+            outDim: preset.outDim,
+            maxDuration: preset.maxDuration ?? null,
+            encoding: preset.encoding || null
+        };
+    }
+
+    getProjectData() {
+        return {
+            platformPreset: document.querySelector(DOM_ELEMENTS.platformPreset)?.value || null,
+            customPresets: Object.entries(this.customPresets).map(([id, preset]) => ({ id, ...preset }))
+        };
+    }
+
+    // Restore the selection without re-applying it; the project's own settings win
+    loadFromData(data) {
+        this.customPresets = {};
+        (data.customPresets || []).forEach((preset, index) => this.addCustomPreset(preset, index));
+
+        const selected = this.getAllPresets()[data.platformPreset] ? data.platformPreset : '';
+        this.renderOptions(selected);
+    }
+}
@@ -1,76 +1,132 @@
 import { DOM_ELEMENTS, DEFAULTS } from './constants.js';
 import { ErrorHandler } from './error-handler.js';
+import { getInactiveFormatCrops } from './output-formats.js';
+import { SCHEMA_VERSION, migrateProject, validateProject } from './project-schema.js';
+import { hasPermission } from './media-links.js';
+
+// Numeric scene fields checked before a project is written, as [field, label, options]
+const SCENE_NUMBERS = [
+    ['start', 'Start time'],
+    ['end', 'End time'],
+    ['hCrop', 'Horizontal crop', { min: 0, max: 100 }],
+    ['hCropEnd', 'End horizontal crop', { min: 0, max: 100 }],
+    ['vCrop', 'Vertical crop', { min: 0, max: 100 }],
+    ['vCropEnd', 'End vertical crop', { min: 0, max: 100 }],
+    ['zoom', 'Zoom', { min: 1, max: DEFAULTS.MAX_ZOOM }],
+    ['zoomEnd', 'End zoom', { min: 1, max: DEFAULTS.MAX_ZOOM }],
+    ['transitionDuration', 'Transition duration', { allowZero: false }],
+    ['speed', 'Speed', { min: DEFAULTS.MIN_SPEED, max: DEFAULTS.MAX_SPEED }],
+    ['speedEnd', 'End speed', { min: DEFAULTS.MIN_SPEED, max: DEFAULTS.MAX_SPEED }]
+];
 
 export class ProjectManager {
-    constructor(tabManager, videoPreview, commandGenerator) {
+    constructor(tabManager, videoPreview, commandGenerator, encodingManager, presetManager, outputFormatManager, mediaBinManager, historyManager, projectModel, mediaLinkManager, recentProjects) {
         this.tabManager = tabManager;
         this.videoPreview = videoPreview;
         this.commandGenerator = commandGenerator;
+        this.encodingManager = encodingManager;
+        this.presetManager = presetManager;
+        this.outputFormatManager = outputFormatManager;
+        this.mediaBinManager = mediaBinManager;
+        this.historyManager = historyManager;
+        this.projectModel = projectModel;
+        this.mediaLinkManager = mediaLinkManager;
+        this.recentProjects = recentProjects;
+        // Set only by opening or saving a file, so a new session never saves over an older project
         this.projectFileHandle = null;
     }
 
-    async saveProject() {
-        try {
-            const data = {
-                inputName: document.querySelector(DOM_ELEMENTS.inputName).value,
-                inDim: document.querySelector(DOM_ELEMENTS.inDim).value,
-                outDim: document.querySelector(DOM_ELEMENTS.outDim).value,
-                videoFile: this.videoPreview.loadedVideoFilename,
-                clips: []
-            };
-
-            // Validate project data
-            if (!data.inputName.trim()) {
+    rememberProjectFile(data, modified) {
+        if (!this.projectFileHandle) return;
+        this.recentProjects.rememberProject(this.projectFileHandle, data, modified).catch(error => {
+            console.warn('Could not remember the project file:', error);
+        });
+    }
+
+    // Reattach the remembered source videos of a project that was just opened
+    relinkVideos() {
+        this.mediaLinkManager.relinkSources().catch(error => {
+            ErrorHandler.showError(`Failed to reconnect videos: ${error.message}`);
+        });
+    }
+
+    // Project as saved to file, taken from the project model. Snapshots taken mid-edit pass
+    // strict = false to keep the values as they are instead of rejecting incomplete scenes
+    getProjectData(strict = true) {
+        const settings = this.projectModel.getSettings();
+        const clips = this.projectModel.getClips();
+
+        // Validate project data
+        if (strict) {
+            if (!settings.inputName.trim()) {
                 throw new Error('Input filename is required');
             }
 
             try {
-                ErrorHandler.validateDimensions(data.inDim);
-                ErrorHandler.validateDimensions(data.outDim);
+                ErrorHandler.validateDimensions(settings.inDim);
+                ErrorHandler.validateDimensions(settings.outDim);
             } catch (error) {
                 throw new Error(`Invalid dimensions: ${error.message}`);
             }
 
-            const tabButtons = document.querySelectorAll('.tab-button');
-            
-            if (tabButtons.length === 0) {
+            if (clips.length === 0) {
                 throw new Error('No clips to save');
             }
+        }
 
-            tabButtons.forEach(btn => {
-                const tabId = btn.id.replace('tabbtn-', '');
-                const clipName = btn.querySelector('span')?.textContent || tabId;
-                const scenes = document.querySelectorAll(`#${tabId} .scene`);
-                const clipData = { name: clipName, scenes: [] };
-
-                scenes.forEach(scene => {
-                    try {
-                        const sceneData = {
-                            start: ErrorHandler.validateNumericInput(scene.querySelector('.start')?.value, 'Start time'),
-                            end: ErrorHandler.validateNumericInput(scene.querySelector('.end')?.value, 'End time'),
-                            hCrop: ErrorHandler.validateNumericInput(scene.querySelector('.hCrop')?.value, 'Horizontal crop', { min: 0, max: 100 }),
-                            pan: scene.querySelector('.panToggle')?.checked || false,
-                            hCropEnd: ErrorHandler.validateNumericInput(scene.querySelector('.hCropEnd')?.value, 'End horizontal crop', { min: 0, max: 100 }),
-                            panMethod: scene.querySelector('.panMethod')?.value || 'linear'
-                        };
-                        
-                        if (sceneData.end <= sceneData.start) {
-                            throw new Error(`Invalid scene: end time (${sceneData.end}) must be greater than start time (${sceneData.start})`);
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            inputName: settings.inputName,
+            inDim: settings.inDim,
+            outDim: settings.outDim,
+            videoFile: this.videoPreview.loadedVideoFilename,
+            encoding: settings.encoding,
+            platformPreset: settings.platformPreset,
+            customPresets: settings.customPresets,
+            outputFormats: settings.outputFormats,
+            activeFormat: settings.activeFormat,
+            sources: settings.sources,
+            activeSource: settings.activeSource,
+            clips: clips.map(clip => {
+                const clipData = {
+                    name: clip.name,
+                    scenes: clip.scenes.map(scene => {
+                        try {
+                            if (strict) this.checkScene(scene);
+                        } catch (error) {
+                            throw new Error(`Error in clip "${clip.name}": ${error.message}`);
                         }
-                        
-                        clipData.scenes.push(sceneData);
-                    } catch (error) {
-                        throw new Error(`Error in clip "${clipName}": ${error.message}`);
-                    }
-                });
-                
-                if (clipData.scenes.length === 0) {
-                    throw new Error(`Clip "${clipName}" has no scenes`);
+                        return {
+                            ...scene,
+                            formatCrops: getInactiveFormatCrops(scene.formatCrops, settings.outputFormats, settings.activeFormat)
+                        };
+                    })
+                };
+                if (clip.encoding) {
+                    clipData.encoding = clip.encoding;
                 }
-                
-                data.clips.push(clipData);
-            });
 
+                if (strict && clipData.scenes.length === 0) {
+                    throw new Error(`Clip "${clip.name}" has no scenes`);
+                }
+                return clipData;
+            })
+        };
+    }
+
+    checkScene(scene) {
+        SCENE_NUMBERS.forEach(([field, label, options]) => {
+            ErrorHandler.validateNumericInput(scene[field], label, options);
+        });
+
+        if (scene.end <= scene.start) {
+            throw new Error(`Invalid scene: end time (${scene.end}) must be greater than start time (${scene.start})`);
+        }
+    }
+
+    async saveProject() {
+        try {
+            const data = this.getProjectData();
             const jsonContent = JSON.stringify(data, null, 2);
 
             // Try to use File System Access API if available
@@ -90,6 +146,8 @@ export class ProjectManager {
                     const writable = await handle.createWritable();
                     await writable.write(jsonContent);
                     await writable.close();
+                    this.historyManager.markSaved();
+                    this.rememberProjectFile(data, Date.now());
                     
                     ErrorHandler.showSuccess(`Project saved successfully as ${handle.name}`);
                     return;
@@ -109,6 +167,7 @@ export class ProjectManager {
             a.download = 'ffmpeg-project.json';
             a.click();
             URL.revokeObjectURL(url);
+            this.historyManager.markSaved();
             
             ErrorHandler.showSuccess('Project downloaded successfully');
             
@@ -117,7 +176,17 @@ export class ProjectManager {
         }
     }
 
-    async loadProject() {
+    // Opens the given file handle, as the recent projects list does, or asks for a file
+    async loadProject(handle = null) {
+        if (handle) {
+            if (!await hasPermission(handle)) {
+                throw new Error('Permission to read the project file was denied');
+            }
+            this.projectFileHandle = handle;
+            this.processProjectFile(await handle.getFile());
+            return;
+        }
+
         // Try to use File System Access API if available
         if (window.showOpenFilePicker) {
             try {
@@ -169,77 +238,15 @@ export class ProjectManager {
                     throw new Error('Invalid JSON format. Please check the project file.');
                 }
 
-                // Validate required fields
-                if (!data || typeof data !== 'object') {
-                    throw new Error('Invalid project file format');
-                }
-
-                // Set global settings with validation
-                const inputName = data.inputName || DEFAULTS.INPUT_FILE;
-                const inDim = data.inDim || DEFAULTS.INPUT_DIMENSIONS;
-                const outDim = data.outDim || DEFAULTS.OUTPUT_DIMENSIONS;
-                
-                try {
-                    ErrorHandler.validateDimensions(inDim);
-                    ErrorHandler.validateDimensions(outDim);
-                } catch (error) {
-                    throw new Error(`Invalid dimensions in project file: ${error.message}`);
-                }
-
-                document.querySelector(DOM_ELEMENTS.inputName).value = inputName;
-                document.querySelector(DOM_ELEMENTS.inDim).value = inDim;
-                document.querySelector(DOM_ELEMENTS.outDim).value = outDim;
+                const project = migrateProject(data);
+                validateProject(project);
+                this.loadProjectData(project);
+                this.historyManager.record('Load project');
+                this.historyManager.markSaved();
+                this.rememberProjectFile(project, file.lastModified);
+                this.relinkVideos();
                 
-                // Display message if video file needs to be loaded
-                if (data.videoFile && !this.videoPreview.videoLoaded) {
-                    const videoInfo = document.querySelector(DOM_ELEMENTS.videoInfo);
-                    videoInfo.innerHTML = `<strong style="color: #dc3545;">⚠️ Please load video file: ${data.videoFile}</strong>`;
-                    document.querySelector(DOM_ELEMENTS.videoFile).style.border = '2px solid #dc3545';
-                }
-
-                // Validate clips data
-                if (!Array.isArray(data.clips)) {
-                    throw new Error('Project file must contain a clips array');
-                }
-
-                if (data.clips.length === 0) {
-                    throw new Error('Project file contains no clips');
-                }
-
-                // Validate each clip and scene
-                data.clips.forEach((clip, clipIndex) => {
-                    if (!clip.name || typeof clip.name !== 'string') {
-                        throw new Error(`Clip ${clipIndex + 1} has invalid name`);
-                    }
-                    
-                    if (!Array.isArray(clip.scenes)) {
-                        throw new Error(`Clip "${clip.name}" has invalid scenes data`);
-                    }
-                    
-                    if (clip.scenes.length === 0) {
-                        throw new Error(`Clip "${clip.name}" has no scenes`);
-                    }
-                    
-                    clip.scenes.forEach((scene, sceneIndex) => {
-                        try {
-                            ErrorHandler.validateNumericInput(scene.start, 'Start time');
-                            ErrorHandler.validateNumericInput(scene.end, 'End time');
-                            ErrorHandler.validateNumericInput(scene.hCrop, 'Horizontal crop', { min: 0, max: 100 });
-                            ErrorHandler.validateNumericInput(scene.hCropEnd, 'End horizontal crop', { min: 0, max: 100 });
-                            
-                            if (scene.end <= scene.start) {
-                                throw new Error(`End time must be greater than start time`);
-                            }
-                        } catch (error) {
-                            throw new Error(`Scene ${sceneIndex + 1} in clip "${clip.name}": ${error.message}`);
-                        }
-                    });
-                });
-
-                // Load tabs and scenes from data
-                this.tabManager.loadTabsFromData(data.clips);
-                
-                ErrorHandler.showSuccess(`Project loaded successfully: ${data.clips.length} clips`);
+                ErrorHandler.showSuccess(`Project loaded successfully: ${project.clips.length} clips`);
 
             } catch (err) {
                 ErrorHandler.showError(`Failed to load project: ${err.message}`);
@@ -248,4 +255,43 @@ export class ProjectManager {
         
         reader.readAsText(file);
     }
-}
\ No newline at end of file
+
+    // Every manager publishes its part to the project model; the clips are rebuilt once at the end.
+    // Autosaves from older versions are upgraded here too
+    loadProjectData(data) {
+        this.projectModel.batch(() => this.applyProjectData(migrateProject(data)));
+    }
+
+    applyProjectData(data) {
+        // Set global settings
+        const inputName = data.inputName || DEFAULTS.INPUT_FILE;
+        const inDim = data.inDim || DEFAULTS.INPUT_DIMENSIONS;
+        const outDim = data.outDim || DEFAULTS.OUTPUT_DIMENSIONS;
+
+        document.querySelector(DOM_ELEMENTS.inputName).value = inputName;
+        document.querySelector(DOM_ELEMENTS.inDim).value = inDim;
+        document.querySelector(DOM_ELEMENTS.outDim).value = outDim;
+        
+        // Display message if video file needs to be loaded
+        if (data.videoFile && !this.videoPreview.videoLoaded) {
+            const videoInfo = document.querySelector(DOM_ELEMENTS.videoInfo);
+            videoInfo.innerHTML = `<strong style="color: #dc3545;">⚠️ Please load video file: ${data.videoFile}</strong>`;
+            document.querySelector(DOM_ELEMENTS.videoFile).style.border = '2px solid #dc3545';
+        }
+
+        try {
+            this.presetManager.loadFromData(data);
+        } catch (error) {
+            throw new Error(`Project presets: ${error.message}`);
+        }
+
+        this.outputFormatManager.loadFromData(data);
+        this.mediaBinManager.loadFromData(data);
+
+        // Older projects have no encoding settings and keep the defaults
+        this.encodingManager.setProjectProfile(data.encoding || {});
+
+        // Load tabs and scenes from data
+        this.tabManager.loadTabsFromData(data.clips);
+    }
+}
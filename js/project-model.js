@@ -0,0 +1,135 @@
+// Observable project state: the global settings and the clips with their scenes, held in the
+// shape they are saved to a project file. Editors publish their changes here; generated commands
+// and clip validation subscribe and only redo the clips named in a change.
+// Changes are announced as { settings, clipIds }: settings is true when a global setting changed,
+// which affects every clip, and clipIds lists the clips whose data changed. A clip's first scene
+// continues from the previous clip, so subscribers checking continuity also look at the clip after each
+export class ProjectModel {
+    constructor() {
+        this.settings = {};
+        this.clips = [];
+        this.listeners = [];
+        this.batchDepth = 0;
+        this.pending = null;
+    }
+
+    // Returns a function that removes the listener again
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    // Changes made inside fn are announced once, after it returns
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0 && this.pending) {
+                const change = this.pending;
+                this.pending = null;
+                this.notify(change);
+            }
+        }
+    }
+
+    emit(settings, clipIds = []) {
+        const ids = clipIds.filter(Boolean);
+        if (!settings && ids.length === 0) return;
+
+        if (!this.pending) {
+            this.pending = { settings: false, clipIds: [] };
+        }
+        this.pending.settings = this.pending.settings || settings;
+        ids.forEach(id => {
+            if (!this.pending.clipIds.includes(id)) this.pending.clipIds.push(id);
+        });
+
+        if (this.batchDepth === 0) {
+            const change = this.pending;
+            this.pending = null;
+            this.notify(change);
+        }
+    }
+
+    // A failing listener is logged so the ones after it still hear about the change
+    notify(change) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Project change listener failed:', error);
+            }
+        });
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    // Only settings whose value actually changed are announced
+    setSettings(changes) {
+        const changed = Object.entries(changes)
+            .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(this.settings[key]));
+        if (changed.length === 0) return;
+
+        this.settings = { ...this.settings, ...Object.fromEntries(changed) };
+        this.emit(true);
+    }
+
+    getClips() {
+        return this.clips;
+    }
+
+    getClip(clipId) {
+        return this.clips.find(clip => clip.id === clipId) || null;
+    }
+
+    getClipIndex(clipId) {
+        return this.clips.findIndex(clip => clip.id === clipId);
+    }
+
+    // Clips are { id, name, encoding, scenes } with encoding null when the project default applies
+    setClips(clips) {
+        this.clips = clips.map(clip => ({ encoding: null, scenes: [], ...clip }));
+        this.emit(true, this.clips.map(clip => clip.id));
+    }
+
+    addClip(clip, index = this.clips.length) {
+        this.clips.splice(index, 0, { encoding: null, scenes: [], ...clip });
+        this.emit(false, [clip.id]);
+    }
+
+    removeClip(clipId) {
+        const index = this.getClipIndex(clipId);
+        if (index === -1) return;
+
+        // The clip that moved up now continues from a different one
+        this.clips.splice(index, 1);
+        this.emit(false, [this.clips[index]?.id]);
+    }
+
+    updateClip(clipId, changes) {
+        const index = this.getClipIndex(clipId);
+        if (index === -1) return;
+
+        this.clips[index] = { ...this.clips[index], ...changes };
+        this.emit(false, [clipId]);
+    }
+
+    updateScene(clipId, sceneIndex, scene) {
+        const clip = this.getClip(clipId);
+        if (!clip || sceneIndex < 0 || sceneIndex >= clip.scenes.length) return;
+
+        const scenes = [...clip.scenes];
+        scenes[sceneIndex] = scene;
+        this.updateClip(clipId, { scenes });
+    }
+
+    getClipEncoding(clipId) {
+        return this.getClip(clipId)?.encoding || this.settings.encoding;
+    }
+}
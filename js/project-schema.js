@@ -0,0 +1,350 @@
+// Project file format: the schema version, the JSON Schema of the current version, the
+// migrations that upgrade older files to it, and validation that names the JSON path of
+// each problem. DOM-free so the command-line generator reads files the same way
+import { DEFAULTS, PAN_METHODS, FIT_MODES, TRANSITIONS, VIDEO_CODECS, AUDIO_CODECS, RATE_CONTROL } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+
+// Bump when the saved format changes and add a migration from the previous version
+export const SCHEMA_VERSION = 1;
+
+// Each step upgrades a project from the version before it; files saved without a
+// schemaVersion are version 0
+const MIGRATIONS = [
+    {
+        version: 1,
+        // The ease-in-out pan method was stored as 'zoom' before scenes could zoom
+        migrate: data => mapScenes(data, scene => scene.panMethod === 'zoom' ? { ...scene, panMethod: PAN_METHODS.EASE } : scene)
+    }
+];
+
+// Migrations run before validation, so they skip anything that does not have the expected shape
+function mapScenes(data, fn) {
+    if (!Array.isArray(data.clips)) return data;
+
+    return {
+        ...data,
+        clips: data.clips.map(clip => Array.isArray(clip?.scenes)
+            ? { ...clip, scenes: clip.scenes.map(scene => scene && typeof scene === 'object' ? fn(scene) : scene) }
+            : clip)
+    };
+}
+
+const MAX_CRF = Math.max(...Object.values(VIDEO_CODECS).map(codec => codec.maxCrf));
+
+export const PROJECT_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'EasyFF project',
+    type: 'object',
+    required: ['clips'],
+    properties: {
+        schemaVersion: { type: 'integer', const: SCHEMA_VERSION },
+        inputName: { type: 'string' },
+        inDim: { $ref: '#/$defs/dimensions' },
+        outDim: { $ref: '#/$defs/dimensions' },
+        videoFile: { type: ['string', 'null'] },
+        encoding: { $ref: '#/$defs/encoding' },
+        platformPreset: { type: ['string', 'null'] },
+        customPresets: { type: 'array', items: { $ref: '#/$defs/preset' } },
+        outputFormats: { type: 'array', minItems: 1, items: { $ref: '#/$defs/outputFormat' } },
+        activeFormat: { type: 'string' },
+        sources: { type: 'array', minItems: 1, items: { $ref: '#/$defs/source' } },
+        activeSource: { type: 'string' },
+        clips: { type: 'array', minItems: 1, items: { $ref: '#/$defs/clip' } }
+    },
+    $defs: {
+        dimensions: {
+            type: 'string',
+            description: 'a size in pixels like 1920x1080',
+            pattern: '^\\s*\\d+\\s*x\\s*\\d+\\s*$',
+            format: 'dimensions'
+        },
+        percentage: { type: 'number', minimum: 0, maximum: 100 },
+        zoom: { type: 'number', minimum: 1, maximum: DEFAULTS.MAX_ZOOM },
+        speed: { type: 'number', minimum: DEFAULTS.MIN_SPEED, maximum: DEFAULTS.MAX_SPEED },
+        encoding: {
+            type: 'object',
+            properties: {
+                videoCodec: { enum: Object.keys(VIDEO_CODECS) },
+                rateControl: { enum: Object.values(RATE_CONTROL) },
+                crf: { type: 'number', minimum: 0, maximum: MAX_CRF },
+                bitrate: { type: 'string' },
+                preset: { type: 'string' },
+                pixFmt: { type: 'string' },
+                fps: { type: ['number', 'null'], minimum: 1, maximum: 240 },
+                audioCodec: { enum: Object.keys(AUDIO_CODECS) },
+                audioBitrate: { type: 'string' }
+            }
+        },
+        preset: {
+            type: 'object',
+            required: ['name', 'outDim'],
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string', minLength: 1 },
+                outDim: { $ref: '#/$defs/dimensions' },
+                maxDuration: { type: ['number', 'null'], exclusiveMinimum: 0 },
+                encoding: { type: ['object', 'null'] }
+            }
+        },
+        outputFormat: {
+            type: 'object',
+            required: ['id', 'name', 'outDim'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1 },
+                outDim: { $ref: '#/$defs/dimensions' }
+            }
+        },
+        source: {
+            type: 'object',
+            required: ['id', 'file', 'inDim'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                file: { type: 'string', description: 'a filename', pattern: '\\S' },
+                inDim: { $ref: '#/$defs/dimensions' }
+            }
+        },
+        clip: {
+            type: 'object',
+            required: ['name', 'scenes'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                encoding: { $ref: '#/$defs/encoding' },
+                scenes: { type: 'array', items: { $ref: '#/$defs/scene' } }
+            }
+        },
+        keyframe: {
+            type: 'object',
+            required: ['time', 'h'],
+            properties: {
+                time: { type: 'number', minimum: 0 },
+                h: { $ref: '#/$defs/percentage' },
+                v: { $ref: '#/$defs/percentage' },
+                auto: { type: 'boolean' }
+            }
+        },
+        region: {
+            type: 'object',
+            properties: {
+                h: { $ref: '#/$defs/percentage' },
+                v: { $ref: '#/$defs/percentage' },
+                pan: { type: 'boolean' },
+                hEnd: { $ref: '#/$defs/percentage' },
+                vEnd: { $ref: '#/$defs/percentage' },
+                share: { type: 'number', minimum: 1, maximum: DEFAULTS.MAX_REGION_SHARE }
+            }
+        },
+        formatCrop: {
+            type: 'object',
+            properties: {
+                hCrop: { $ref: '#/$defs/percentage' },
+                vCrop: { $ref: '#/$defs/percentage' },
+                hCropEnd: { $ref: '#/$defs/percentage' },
+                vCropEnd: { $ref: '#/$defs/percentage' },
+                zoom: { $ref: '#/$defs/zoom' },
+                zoomEnd: { $ref: '#/$defs/zoom' },
+                keyframes: { type: 'array', items: { $ref: '#/$defs/keyframe' } }
+            }
+        },
+        scene: {
+            type: 'object',
+            required: ['start', 'end'],
+            properties: {
+                start: { type: 'number', minimum: 0 },
+                end: { type: 'number', minimum: 0 },
+                hCrop: { $ref: '#/$defs/percentage' },
+                pan: { type: 'boolean' },
+                hCropEnd: { $ref: '#/$defs/percentage' },
+                vCrop: { $ref: '#/$defs/percentage' },
+                vCropEnd: { $ref: '#/$defs/percentage' },
+                zoom: { $ref: '#/$defs/zoom' },
+                zoomEnd: { $ref: '#/$defs/zoom' },
+                panMethod: { enum: Object.values(PAN_METHODS) },
+                keyframes: { type: 'array', items: { $ref: '#/$defs/keyframe' } },
+                transition: { enum: Object.keys(TRANSITIONS) },
+                transitionDuration: { type: 'number', exclusiveMinimum: 0 },
+                speed: { $ref: '#/$defs/speed' },
+                speedRamp: { type: 'boolean' },
+                speedEnd: { $ref: '#/$defs/speed' },
+                reverse: { type: 'boolean' },
+                fitMode: { enum: Object.values(FIT_MODES) },
+                padColor: { type: 'string', description: 'a hex colour like #000000', pattern: '^#[0-9a-fA-F]{6}$' },
+                regions: { type: 'array', items: { $ref: '#/$defs/region' } },
+                formatCrops: { type: 'object', additionalProperties: { $ref: '#/$defs/formatCrop' } },
+                source: { type: 'string' }
+            }
+        }
+    }
+};
+
+// Checks for the custom formats used above; they throw with a description of the problem
+const FORMATS = {
+    dimensions: value => ErrorHandler.validateDimensions(value)
+};
+
+const TYPE_CHECKS = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    null: value => value === null
+};
+
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]`
+        : /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}`
+        : `${path}[${JSON.stringify(key)}]`;
+}
+
+function resolveRef(ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((schema, key) => schema[key], PROJECT_SCHEMA);
+}
+
+// Supports the subset of JSON Schema the project schema uses
+function checkValue(value, schema, path, problems) {
+    if (schema.$ref) {
+        checkValue(value, resolveRef(schema.$ref), path, problems);
+        return;
+    }
+
+    const problem = message => problems.push({ path, message });
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => TYPE_CHECKS[type](value))) {
+        problem(`must be ${types.map(type => type === 'null' ? 'null' : `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`).join(' or ')}`);
+        return;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        problem(`must be ${JSON.stringify(schema.const)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problem(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) problem(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) problem(`must be at most ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) problem(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            problem('must not be empty');
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problem(`must be ${schema.description || `text matching ${schema.pattern}`}`);
+        } else if (schema.format && FORMATS[schema.format]) {
+            try {
+                FORMATS[schema.format](value);
+            } catch (error) {
+                problem(error.message);
+            }
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            problem(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkValue(item, schema.items, childPath(path, index), problems));
+        }
+    } else if (TYPE_CHECKS.object(value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) problems.push({ path: childPath(path, key), message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties?.[key] || schema.additionalProperties;
+            if (childSchema && child !== undefined) checkValue(child, childSchema, childPath(path, key), problems);
+        });
+    }
+}
+
+// Rules across fields that the schema cannot express
+function checkProjectRules(data, problems) {
+    const checkUniqueIds = (list, path) => {
+        const seen = new Set();
+        list.forEach((item, index) => {
+            if (seen.has(item.id)) problems.push({ path: `${path}[${index}].id`, message: `duplicates id "${item.id}"` });
+            seen.add(item.id);
+        });
+    };
+    const checkCrf = (encoding, path) => {
+        const codec = VIDEO_CODECS[encoding?.videoCodec || 'libx264'];
+        if (encoding?.crf > codec.maxCrf) {
+            problems.push({ path: `${path}.crf`, message: `must be at most ${codec.maxCrf} for ${encoding.videoCodec || 'libx264'}` });
+        }
+    };
+
+    checkUniqueIds(data.outputFormats || [], '$.outputFormats');
+    checkUniqueIds(data.sources || [], '$.sources');
+    checkCrf(data.encoding, '$.encoding');
+
+    // Projects from before the media bin have one implicit source
+    const sourceIds = data.sources ? data.sources.map(source => source.id) : [DEFAULTS.SOURCE_ID];
+
+    data.clips.forEach((clip, clipIndex) => {
+        const clipPath = `$.clips[${clipIndex}]`;
+        checkCrf(clip.encoding, `${clipPath}.encoding`);
+
+        clip.scenes.forEach((scene, sceneIndex) => {
+            const scenePath = `${clipPath}.scenes[${sceneIndex}]`;
+            if (scene.end <= scene.start) {
+                problems.push({ path: `${scenePath}.end`, message: `must be greater than start (${scene.start})` });
+            }
+            if (scene.source !== undefined && !sourceIds.includes(scene.source)) {
+                problems.push({ path: `${scenePath}.source`, message: `must be one of the project sources: ${sourceIds.join(', ')}` });
+            }
+            if (scene.fitMode === FIT_MODES.STACK && (scene.regions || []).length < 2) {
+                problems.push({ path: `${scenePath}.regions`, message: 'split screen scenes need at least two regions' });
+            }
+        });
+    });
+}
+
+/**
+ * Every problem found in a project at the current schema version.
+ * @param {*} data - Parsed project JSON, already migrated
+ * @returns {Array<{path: string, message: string}>} Problems with the JSON path of each, empty when valid
+ */
+export function findProjectProblems(data) {
+    const problems = [];
+    checkValue(data, PROJECT_SCHEMA, '$', problems);
+    if (problems.length === 0) {
+        checkProjectRules(data, problems);
+    }
+    return problems;
+}
+
+// Throws on an invalid project, naming the first problem and how many more there are
+export function validateProject(data) {
+    const problems = findProjectProblems(data);
+    if (problems.length === 0) return;
+
+    const [first] = problems;
+    const more = problems.length > 1 ? ` (and ${problems.length - 1} more problem${problems.length > 2 ? 's' : ''})` : '';
+    throw new Error(`${first.path} ${first.message}${more}`);
+}
+
+/**
+ * Upgrade a project from the version it was saved with to SCHEMA_VERSION. The input is left as it is.
+ * @param {*} data - Parsed project JSON
+ * @returns {*} The project at the current version; values that are not objects are returned unchanged for validation to report
+ */
+export function migrateProject(data) {
+    if (!TYPE_CHECKS.object(data)) return data;
+
+    const version = data.schemaVersion ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error('$.schemaVersion must be a whole number');
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`$.schemaVersion ${version} is from a newer version of EasyFF, which reads up to version ${SCHEMA_VERSION}`);
+    }
+
+    return MIGRATIONS
+        .filter(migration => migration.version > version)
+        .reduce((project, migration) => ({ ...migration.migrate(project), schemaVersion: migration.version }), data);
+}
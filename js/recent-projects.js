@@ -0,0 +1,166 @@
+import { DOM_ELEMENTS, DEFAULTS } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { openDatabase, storeRequest, HANDLE_STORE } from './database.js';
+
+const KEY_PREFIX = 'project:';
+
+function formatModified(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// What the list shows about a project, taken from its saved data
+function summarizeProject(data) {
+    const activeSource = data.sources?.find(source => source.id === data.activeSource);
+    return {
+        video: data.videoFile || activeSource?.file || data.inputName || '',
+        clips: data.clips.length,
+        scenes: data.clips.reduce((total, clip) => total + clip.scenes.length, 0)
+    };
+}
+
+// Project files opened or saved through the file picker, kept as handles in IndexedDB so a
+// session can start from one of them. Records are
+// { key, handle, name, video, clips, scenes, modified, openedAt, stale }
+export class RecentProjectsManager {
+    constructor() {
+        this.db = null;
+        this.projects = [];
+        this.projectManager = null;
+        this.ready = this.init();
+    }
+
+    attach(projectManager) {
+        this.projectManager = projectManager;
+    }
+
+    async init() {
+        // Without the picker there are no handles to reopen
+        if (!window.indexedDB || !window.showOpenFilePicker) return;
+
+        try {
+            this.db = await openDatabase();
+            await this.loadProjects();
+        } catch (error) {
+            console.warn('Recent projects are disabled:', error);
+            this.db = null;
+            return;
+        }
+
+        this.setupEventListeners();
+        document.querySelector(DOM_ELEMENTS.recentPanel).style.display = '';
+        if (this.projects.length > 0) {
+            document.querySelector(DOM_ELEMENTS.startScreen).style.display = 'block';
+        }
+    }
+
+    setupEventListeners() {
+        document.querySelectorAll(DOM_ELEMENTS.recentProjectLists).forEach(list => {
+            list.addEventListener('click', (e) => {
+                const item = e.target.closest('li[data-key]');
+                if (!item) return;
+
+                if (e.target.closest('.remove-recent')) {
+                    ErrorHandler.safeAsync(() => this.removeProject(item.dataset.key), 'Failed to remove recent project');
+                } else {
+                    ErrorHandler.safeAsync(() => this.openProject(item.dataset.key), 'Failed to open project');
+                }
+            });
+        });
+
+        document.querySelector('[data-action="start-new-project"]')?.addEventListener('click', () => {
+            this.hideStartScreen();
+        });
+    }
+
+    async loadProjects() {
+        const records = await storeRequest(this.db, HANDLE_STORE, 'readonly', store => store.getAll());
+        this.projects = records
+            .filter(record => record.key.startsWith(KEY_PREFIX))
+            .sort((a, b) => b.openedAt - a.openedAt);
+        this.renderProjects();
+    }
+
+    async findProject(handle) {
+        for (const project of this.projects) {
+            if (await project.handle.isSameEntry(handle)) return project;
+        }
+        return null;
+    }
+
+    // Called whenever a project file is opened or saved through a handle
+    async rememberProject(handle, data, modified) {
+        await this.ready;
+        if (!this.db) return;
+
+        const existing = await this.findProject(handle);
+        const record = {
+            key: existing?.key || `${KEY_PREFIX}${Date.now()}`,
+            handle,
+            name: handle.name.replace(/\.json$/i, ''),
+            ...summarizeProject(data),
+            modified,
+            openedAt: Date.now(),
+            stale: false
+        };
+        await storeRequest(this.db, HANDLE_STORE, 'readwrite', store => store.put(record));
+
+        const others = this.projects.filter(project => project.key !== record.key);
+        while (others.length >= DEFAULTS.RECENT_PROJECTS) {
+            const oldest = others.pop();
+            await storeRequest(this.db, HANDLE_STORE, 'readwrite', store => store.delete(oldest.key));
+        }
+        this.projects = [record, ...others];
+        this.renderProjects();
+        this.hideStartScreen();
+    }
+
+    async openProject(key) {
+        const project = this.projects.find(p => p.key === key);
+        if (!project) return;
+
+        try {
+            await this.projectManager.loadProject(project.handle);
+        } catch (error) {
+            if (error.name !== 'NotFoundError') throw error;
+
+            // Kept in the list, marked, until it is removed
+            project.stale = true;
+            await storeRequest(this.db, HANDLE_STORE, 'readwrite', store => store.put(project));
+            this.renderProjects();
+            throw new Error(`${project.name} is no longer where it was saved. Remove it from the list if it has moved or been deleted.`);
+        }
+    }
+
+    async removeProject(key) {
+        await storeRequest(this.db, HANDLE_STORE, 'readwrite', store => store.delete(key));
+        this.projects = this.projects.filter(project => project.key !== key);
+        this.renderProjects();
+
+        if (this.projects.length === 0) {
+            this.hideStartScreen();
+        }
+    }
+
+    hideStartScreen() {
+        document.querySelector(DOM_ELEMENTS.startScreen).style.display = 'none';
+    }
+
+    renderProjects() {
+        const items = this.projects.map(project => `
+            <li data-key="${project.key}" class="${project.stale ? 'stale' : ''}" title="${project.stale ? 'File not found' : `Open ${project.name}`}">
+                <strong class="recent-name">${project.name}</strong>
+                <span class="recent-video">🎬 ${project.video || 'No video'}</span>
+                <span class="recent-counts">${plural(project.clips, 'clip')}, ${plural(project.scenes, 'scene')}</span>
+                <span class="recent-modified">${formatModified(project.modified)}</span>
+                <button class="remove-recent" title="Remove from recent projects">×</button>
+            </li>`).join('') || '<li class="empty">No recent projects</li>';
+
+        document.querySelectorAll(DOM_ELEMENTS.recentProjectLists).forEach(list => {
+            list.innerHTML = items;
+        });
+    }
+}
@@ -0,0 +1,98 @@
+// Split-screen region helpers
+
+// Regions are stored on the scene element as JSON in a hidden input, as a list of
+// { h, v, pan, hEnd, vEnd, share } with crop percentages and a relative slot size
+export function getRegions(sceneEl) {
+    const input = sceneEl?.querySelector('.regions');
+    if (!input || !input.value) return [];
+
+    try {
+        const regions = JSON.parse(input.value);
+        return Array.isArray(regions) ? regions.map(normalizeRegion) : [];
+    } catch (error) {
+        console.warn('Invalid region data on scene:', error);
+        return [];
+    }
+}
+
+export function setRegions(sceneEl, regions) {
+    const input = sceneEl.querySelector('.regions');
+    input.value = JSON.stringify(regions.map(normalizeRegion));
+
+    // Trigger scene update
+    input.dispatchEvent(new Event('input'));
+}
+
+export function normalizeRegion(region) {
+    const h = region.h === undefined ? 50 : +region.h;
+    const v = region.v === undefined ? 50 : +region.v;
+    return {
+        h,
+        v,
+        pan: !!region.pan,
+        hEnd: region.hEnd === undefined ? h : +region.hEnd,
+        vEnd: region.vEnd === undefined ? v : +region.vEnd,
+        share: region.share === undefined ? 1 : +region.share
+    };
+}
+
+export function updateRegion(sceneEl, index, changes) {
+    const regions = getRegions(sceneEl);
+    if (!regions[index]) return;
+
+    regions[index] = { ...regions[index], ...changes };
+    setRegions(sceneEl, regions);
+}
+
+// The region edited from the preview; kept on the scene so it survives re-renders
+export function getActiveRegion(sceneEl) {
+    const count = getRegions(sceneEl).length;
+    const index = parseInt(sceneEl?.dataset.activeRegion) || 0;
+    return Math.max(0, Math.min(count - 1, index));
+}
+
+// Two regions to start from: the scene's crop above a smaller copy of it
+export function createDefaultRegions(h = 50, v = 50) {
+    return [
+        normalizeRegion({ h, v, share: 2 }),
+        normalizeRegion({ h, v, share: 1 })
+    ];
+}
+
+// Regions a split screen scene is drawn with: its own, topped up from the defaults to at least two
+export function getStackRegions(regions = [], h = 50, v = 50) {
+    const own = regions.map(normalizeRegion);
+    return own.length >= 2 ? own : [...own, ...createDefaultRegions(h, v).slice(own.length)];
+}
+
+/**
+ * Split the output into one slot per region.
+ * Portrait and square outputs stack regions top to bottom, landscape outputs side by side.
+ * Slot sizes are even and the last slot takes any rounding remainder.
+ * @param {Array<{share: number}>} regions
+ * @param {number} outW
+ * @param {number} outH
+ * @returns {{filter: string, slots: Array<{w: number, h: number}>}}
+ */
+export function getRegionLayout(regions, outW, outH) {
+    const vertical = outH >= outW;
+    const total = vertical ? outH : outW;
+    const shareSum = regions.reduce((sum, r) => sum + r.share, 0);
+    let used = 0;
+
+    const slots = regions.map((region, i) => {
+        const size = i === regions.length - 1
+            ? total - used
+            : Math.floor(total * region.share / shareSum / 2) * 2;
+        used += size;
+        return vertical ? { w: outW, h: size } : { w: size, h: outH };
+    });
+
+    return { filter: vertical ? 'vstack' : 'hstack', slots };
+}
+
+// Largest source window with the slot's aspect ratio
+export function getRegionCropSize(slot, inW, inH) {
+    const ratio = Math.min(inH / slot.h, inW / slot.w);
+    return { cropW: ratio * slot.w, cropH: ratio * slot.h };
+}
@@ -1,52 +1,258 @@
-import { DEFAULTS } from './constants.js';
+import { DEFAULTS, PAN_METHODS, TRANSITIONS, CUT_TRANSITION, FIT_MODES } from './constants.js';
 import { parseDimensions, validateNumericInput, createElementFromHTML } from './utils.js';
 import { ErrorHandler } from './error-handler.js';
 import { InputValidator } from './input-validator.js';
+import { getKeyframes } from './keyframes.js';
+import { getMaxClipDuration } from './preset-manager.js';
+import { getClipTimeline } from './transitions.js';
+import { getSpeed, getSpeedAt, getSourceDuration } from './speed.js';
+import { getRegions, setRegions, getActiveRegion, createDefaultRegions } from './regions.js';
+import { readStoredCrops } from './output-formats.js';
+import { getSources, getActiveSourceId, getSceneSourceId, renderSourceOptions } from './media-bin.js';
+import { normalizeScene, getCropAt } from './command-core.js';
+
+// Scene as held by the project model, read from its editor fields
+export function readSceneData(sceneEl) {
+    const value = (name) => sceneEl.querySelector(`.${name}`)?.value;
+    const checked = (name) => sceneEl.querySelector(`.${name}`)?.checked || false;
+
+    return {
+        start: parseFloat(value('start')),
+        end: parseFloat(value('end')),
+        hCrop: parseFloat(value('hCrop')),
+        pan: checked('panToggle'),
+        hCropEnd: parseFloat(value('hCropEnd')),
+        vCrop: parseFloat(value('vCrop')),
+        vCropEnd: parseFloat(value('vCropEnd')),
+        zoom: parseFloat(value('zoom')),
+        zoomEnd: parseFloat(value('zoomEnd')),
+        panMethod: value('panMethod') || PAN_METHODS.LINEAR,
+        keyframes: getKeyframes(sceneEl),
+        transition: value('transition') || CUT_TRANSITION,
+        transitionDuration: parseFloat(value('transitionDuration')),
+        speed: parseFloat(value('speed')),
+        speedRamp: checked('speedRamp'),
+        speedEnd: parseFloat(value('speedEnd')),
+        reverse: checked('reverse'),
+        fitMode: value('fitMode') || FIT_MODES.CROP,
+        padColor: value('padColor') || DEFAULTS.PAD_COLOR,
+        regions: getRegions(sceneEl),
+        formatCrops: readStoredCrops(sceneEl),
+        source: getSceneSourceId(sceneEl)
+    };
+}
+
+// Part of a scene from start to end, keeping the scene's settings. Pans, zooms and speed ramps
+// cover the stretch of their path the part spans, keyframed paths gain points at its ends, and only
+// the first part played keeps the transition in
+function getScenePiece(scene, start, end, first) {
+    const piece = { ...scene, start, end };
+    if (!first) piece.transition = CUT_TRANSITION;
+    if (scene.speedRamp) {
+        const [from, to] = scene.reverse ? [end, start] : [start, end];
+        piece.speed = +getSpeedAt(scene, from).toFixed(2);
+        piece.speedEnd = +getSpeedAt(scene, to).toFixed(2);
+    }
+
+    if (scene.fitMode === FIT_MODES.STACK) {
+        piece.regions = scene.regions.map((region, i) => {
+            if (!region.pan) return region;
+            const from = getCropAt(scene, start, null, i);
+            const to = getCropAt(scene, end, null, i);
+            return { ...region, h: from.h, v: from.v, hEnd: to.h, vEnd: to.v };
+        });
+        return piece;
+    }
+
+    const from = getCropAt(scene, start);
+    const to = getCropAt(scene, end);
+    Object.assign(piece, { zoom: from.zoom, zoomEnd: to.zoom });
+    if (scene.pan) {
+        Object.assign(piece, { hCrop: from.h, vCrop: from.v, hCropEnd: to.h, vCropEnd: to.v });
+    }
+    if (scene.keyframes.some(kf => kf.time >= scene.start && kf.time <= scene.end)) {
+        piece.keyframes = [
+            { time: start, h: from.h, v: from.v },
+            ...scene.keyframes.filter(kf => kf.time > start && kf.time < end),
+            { time: end, h: to.h, v: to.v }
+        ];
+    }
+    return piece;
+}
+
+// Parts of the { start, end } segments that none of the ranges cover, to hundredths of a second
+function getUncovered(segments, ranges) {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    return segments.flatMap(segment => {
+        const parts = [];
+        let start = segment.start;
+        sorted.forEach(range => {
+            if (range.end <= start || range.start >= segment.end) return;
+            if (range.start > start) parts.push({ start, end: range.start });
+            start = Math.max(start, range.end);
+        });
+        if (segment.end > start) parts.push({ start, end: segment.end });
+        return parts;
+    })
+        .map(part => ({ start: +part.start.toFixed(2), end: +part.end.toFixed(2) }))
+        .filter(part => part.end > part.start);
+}
 
 export class SceneManager {
-    constructor(commandGenerator, videoPreview) {
+    constructor(commandGenerator, videoPreview, inputValidator, historyManager, projectModel) {
         this.sceneCount = 0;
         this.draggedScene = null;
         this.draggedTabId = null;
         this.commandGenerator = commandGenerator;
         this.videoPreview = videoPreview;
+        this.historyManager = historyManager;
+        this.projectModel = projectModel;
         this.inputValidator = new InputValidator();
+
+        this.projectModel.subscribe(change => this.handleModelChange(change));
+    }
+
+    // Clip starts and warnings only change for the clips named in the change, and for the
+    // clip after each of them, whose first scene continues from it. Settings can change the
+    // clip length limit
+    handleModelChange({ settings, clipIds }) {
+        const clips = this.projectModel.getClips();
+        clips.forEach((clip, index) => {
+            if (clipIds.includes(clip.id)) {
+                this.recalcClipStarts(clip.id);
+                this.validateContinuity(clip.id);
+                this.validateClipDuration(clip.id);
+                return;
+            }
+
+            if (index > 0 && clipIds.includes(clips[index - 1].id)) {
+                this.validateContinuity(clip.id);
+            }
+            if (settings) {
+                this.validateClipDuration(clip.id);
+            }
+        });
+    }
+
+    // Publish an edited scene to the project model
+    syncScene(tabId, sceneEl) {
+        const scenes = Array.from(document.querySelectorAll(`#${tabId} .scene`));
+        const clip = this.projectModel.getClip(tabId);
+        if (!clip || !scenes.includes(sceneEl)) return;
+
+        if (clip.scenes.length !== scenes.length) {
+            this.syncClip(tabId);
+        } else {
+            this.projectModel.updateScene(tabId, scenes.indexOf(sceneEl), readSceneData(sceneEl));
+        }
+    }
+
+    // Publish a clip's scenes after they were added, removed or reordered
+    syncClip(tabId) {
+        this.projectModel.updateClip(tabId, { scenes: this.readClipScenes(tabId) });
+    }
+
+    syncAllClips() {
+        this.projectModel.batch(() => {
+            this.projectModel.getClips().forEach(clip => this.syncClip(clip.id));
+        });
+    }
+
+    readClipScenes(tabId) {
+        return Array.from(document.querySelectorAll(`#${tabId} .scene`)).map(readSceneData);
     }
 
     createSceneElement(tabId, sceneData) {
         this.sceneCount++;
         const sceneId = this.sceneCount;
         
-        const { start, end, hCrop, pan = false, hCropEnd = hCrop, panMethod = 'linear' } = sceneData;
+        const { start, end, hCrop, vCrop, pan, hCropEnd, vCropEnd, keyframes, zoom, zoomEnd, panMethod,
+            transition, transitionDuration, speed, speedRamp, speedEnd, reverse,
+            fitMode, padColor, regions, formatCrops } = normalizeScene(sceneData);
+        const source = sceneData.source || getActiveSourceId();
         const length = (end - start).toFixed(2);
+        const zoomOptions = `{"validateOnInput": true, "min": 1, "max": ${DEFAULTS.MAX_ZOOM}, "decimals": 2}`;
+        const speedOptions = `{"validateOnInput": true, "min": ${DEFAULTS.MIN_SPEED}, "max": ${DEFAULTS.MAX_SPEED}, "decimals": 2}`;
+        const transitionOptions = Object.entries(TRANSITIONS)
+            .map(([value, label]) => `<option value="${value}" ${value === transition ? 'selected' : ''}>${label}</option>`)
+            .join('');
 
         const html = `
             <div class="card scene" id="scene-${sceneId}">
                 <div class="drag-handle" title="Drag to reorder"></div>
                 <button class="remove-x" title="Remove scene">×</button>
                 <button class="scene-copy-btn" title="Copy scene command">📋</button>
+                <input type="hidden" class="formatCrops">
                 <div class="grid">
+                    <div class="sourceField" style="display:${getSources().length > 1 ? 'block' : 'none'};"><label>Source</label><select class="source">${renderSourceOptions(source)}</select></div>
                     <div class="clipStartField"><label>Clip Start</label><input type="number" class="clipStart" value="0" step="0.1" data-validate="time" readonly></div>
                     <div><label>Start (s)</label><input type="number" class="start" value="${start}" step="0.1" data-validate="time" data-validate-options='{"validateOnInput": true}'></div>
                     <div><label>Length (s)</label><input type="number" class="length" value="${length}" step="0.1" min="0" data-validate="duration" data-validate-options='{"validateOnInput": true}'></div>
                     <div class="endField"><label>End (s)</label><input type="number" class="end" value="${end}" step="0.1" data-validate="time" data-validate-options='{"validateOnInput": true}'></div>
                     <div><label>Horiz. Crop %</label><input type="number" class="hCrop" value="${hCrop}" min="0" max="100" data-validate="percentage" data-validate-options='{"validateOnInput": true}'></div>
+                    <div><label>Vert. Crop %</label><input type="number" class="vCrop" value="${vCrop}" min="0" max="100" data-validate="percentage" data-validate-options='{"validateOnInput": true}'></div>
+                    <div><label>Zoom ×</label><input type="number" class="zoom" value="${zoom}" min="1" max="${DEFAULTS.MAX_ZOOM}" step="0.05" data-validate="number" data-validate-options='${zoomOptions}'></div>
+                    <div title="The zoom animates from Zoom to End Zoom across the scene"><label>End Zoom ×</label><input type="number" class="zoomEnd" value="${zoomEnd}" min="1" max="${DEFAULTS.MAX_ZOOM}" step="0.05" data-validate="number" data-validate-options='${zoomOptions}'></div>
+                    <div title="How the pan and zoom move across the scene">
+                        <label>Pan/Zoom Method</label>
+                        <select class="panMethod">
+                            <option value="${PAN_METHODS.LINEAR}" ${panMethod === PAN_METHODS.LINEAR ? 'selected' : ''}>Linear</option>
+                            <option value="${PAN_METHODS.EASE}" ${panMethod === PAN_METHODS.EASE ? 'selected' : ''}>Ease in-out</option>
+                        </select>
+                    </div>
+                    <div class="fitField">
+                        <label>Fit</label>
+                        <div class="fit-inputs">
+                            <select class="fitMode">
+                                <option value="${FIT_MODES.CROP}" ${fitMode === FIT_MODES.CROP ? 'selected' : ''}>Crop</option>
+                                <option value="${FIT_MODES.PAD}" ${fitMode === FIT_MODES.PAD ? 'selected' : ''}>Pad</option>
+                                <option value="${FIT_MODES.BLUR}" ${fitMode === FIT_MODES.BLUR ? 'selected' : ''}>Blur fill</option>
+                                <option value="${FIT_MODES.STACK}" ${fitMode === FIT_MODES.STACK ? 'selected' : ''}>Split screen</option>
+                            </select>
+                            <input type="color" class="padColor" value="${padColor}" style="display:${fitMode === FIT_MODES.PAD ? 'block' : 'none'};" title="Padding colour">
+                        </div>
+                    </div>
+                    <div class="regionsField" style="display:${fitMode === FIT_MODES.STACK ? 'flex' : 'none'};" title="Pick a region to position it on the preview">
+                        <label>Regions</label>
+                        <div class="region-list"></div>
+                        <input type="hidden" class="regions">
+                    </div>
+                    <div class="transitionField" title="Transition from the previous scene">
+                        <label>Transition In</label>
+                        <div class="transition-inputs">
+                            <select class="transition">${transitionOptions}</select>
+                            <input type="number" class="transitionDuration" value="${transitionDuration}" min="0.1" step="0.1" data-validate="duration" data-validate-options='{"validateOnInput": true}' style="display:${transition === CUT_TRANSITION ? 'none' : 'block'};" title="Transition duration (s)">
+                        </div>
+                    </div>
                     <div class="panField"><label>Pan?</label><input type="checkbox" class="panToggle" ${pan ? 'checked' : ''}></div>
+                    <div class="keyframesField" style="display:${keyframes.length ? 'flex' : 'none'};" title="Keyframes override the start/end pan">
+                        <label>Keys</label>
+                        <div class="keyframe-summary">
+                            <span class="keyframeCount">${keyframes.length}</span>
+                            <button class="clear-keyframes" title="Clear keyframes">×</button>
+                        </div>
+                        <input type="hidden" class="keyframes">
+                    </div>
                 </div>
                 <div id="panFields-${sceneId}" style="display:${pan ? 'flex' : 'none'}; margin-left:8px;" class="grid">
                     <div><label>End Horiz %</label><input type="number" class="hCropEnd" value="${hCropEnd}" min="0" max="100" data-validate="percentage" data-validate-options='{"validateOnInput": true}'></div>
-                    <div>
-                        <label>Pan Method</label>
-                        <select class="panMethod">
-                            <option value="linear" ${panMethod === 'linear' ? 'selected' : ''}>Linear</option>
-                            <option value="zoom" ${panMethod === 'zoom' ? 'selected' : ''}>Zoom-like</option>
-                        </select>
-                    </div>
+                    <div><label>End Vert %</label><input type="number" class="vCropEnd" value="${vCropEnd}" min="0" max="100" data-validate="percentage" data-validate-options='{"validateOnInput": true}'></div>
+                </div>
+                <div class="grid speedFields" title="Speed ramps from Speed to End Speed across the scene">
+                    <div><label>Speed ×</label><input type="number" class="speed" value="${speed}" min="${DEFAULTS.MIN_SPEED}" max="${DEFAULTS.MAX_SPEED}" step="0.05" data-validate="number" data-validate-options='${speedOptions}'></div>
+                    <div class="panField"><label>Ramp?</label><input type="checkbox" class="speedRamp" ${speedRamp ? 'checked' : ''}></div>
+                    <div class="speedEndField" style="display:${speedRamp ? 'block' : 'none'};"><label>End Speed ×</label><input type="number" class="speedEnd" value="${speedEnd}" min="${DEFAULTS.MIN_SPEED}" max="${DEFAULTS.MAX_SPEED}" step="0.05" data-validate="number" data-validate-options='${speedOptions}'></div>
+                    <div class="panField"><label>Reverse</label><input type="checkbox" class="reverse" ${reverse ? 'checked' : ''}></div>
+                    <div class="outputLengthField"><label>Output (s)</label><input type="number" class="outputLength" value="${length}" readonly></div>
                 </div>
             </div>
         `;
 
         const div = createElementFromHTML(html);
+        div.querySelector('.keyframes').value = JSON.stringify(keyframes);
+        div.querySelector('.regions').value = JSON.stringify(regions);
+        div.querySelector('.formatCrops').value = JSON.stringify(formatCrops);
+        this.renderRegionsField(div);
         this.setupSceneEventListeners(div, tabId, sceneId);
         this.setupSceneDrag(div, tabId);
 
@@ -58,9 +264,8 @@ export class SceneManager {
         const removeBtn = sceneEl.querySelector('.remove-x');
         removeBtn.addEventListener('click', () => {
             sceneEl.remove();
-            this.commandGenerator.updateCommand(tabId);
-            this.validateAllTabs();
-            this.recalcClipStarts(tabId);
+            this.syncClip(tabId);
+            this.historyManager.record('Remove scene');
         });
 
         // Copy scene command button
@@ -94,9 +299,7 @@ export class SceneManager {
                     this.inputValidator.validateInput(lengthInput, 'duration');
                 }
                 
-                this.recalcClipStarts(tabId);
-                this.commandGenerator.updateCommand(tabId);
-                this.validateAllTabs();
+                this.syncScene(tabId, sceneEl);
             } catch (error) {
                 ErrorHandler.showError(`Error updating scene timing: ${error.message}`);
             }
@@ -113,9 +316,7 @@ export class SceneManager {
                     this.inputValidator.validateInput(lengthInput, 'duration');
                 }
                 
-                this.recalcClipStarts(tabId);
-                this.commandGenerator.updateCommand(tabId);
-                this.validateAllTabs();
+                this.syncScene(tabId, sceneEl);
             } catch (error) {
                 ErrorHandler.showError(`Error updating scene timing: ${error.message}`);
             }
@@ -132,9 +333,7 @@ export class SceneManager {
                     this.inputValidator.validateInput(endInput, 'time');
                 }
                 
-                this.recalcClipStarts(tabId);
-                this.commandGenerator.updateCommand(tabId);
-                this.validateAllTabs();
+                this.syncScene(tabId, sceneEl);
             } catch (error) {
                 ErrorHandler.showError(`Error updating scene timing: ${error.message}`);
             }
@@ -153,18 +352,128 @@ export class SceneManager {
         const panToggle = sceneEl.querySelector('.panToggle');
         panToggle.addEventListener('change', () => {
             this.togglePan(sceneId);
-            this.commandGenerator.updateCommand(tabId);
-            this.validateAllTabs();
+            this.syncScene(tabId, sceneEl);
+        });
+
+        // End zoom follows the zoom until it is set apart, so a scene only animates its zoom on purpose
+        const zoomInput = sceneEl.querySelector('.zoom');
+        const zoomEndInput = sceneEl.querySelector('.zoomEnd');
+        let lastZoom = parseFloat(zoomInput.value);
+        zoomInput.addEventListener('input', () => {
+            if (parseFloat(zoomEndInput.value) === lastZoom) zoomEndInput.value = zoomInput.value;
+            lastZoom = parseFloat(zoomInput.value);
         });
 
         // Other inputs that trigger command updates
-        sceneEl.querySelectorAll('.hCrop, .hCropEnd, .panMethod').forEach(input => {
+        sceneEl.querySelectorAll('.hCrop, .hCropEnd, .vCrop, .vCropEnd, .zoom, .zoomEnd, .panMethod').forEach(input => {
+            input.addEventListener('input', () => this.syncScene(tabId, sceneEl));
+        });
+
+        // Fit mode changes the crop window shape in the preview
+        sceneEl.querySelectorAll('.fitMode, .padColor').forEach(input => {
+            input.addEventListener('input', () => {
+                const fitMode = sceneEl.querySelector('.fitMode').value;
+                sceneEl.querySelector('.padColor').style.display = fitMode === FIT_MODES.PAD ? 'block' : 'none';
+                sceneEl.querySelector('.regionsField').style.display = fitMode === FIT_MODES.STACK ? 'flex' : 'none';
+
+                // Split screen starts from two regions at the scene's crop
+                if (fitMode === FIT_MODES.STACK && getRegions(sceneEl).length === 0) {
+                    sceneEl.querySelector('.regions').value = JSON.stringify(createDefaultRegions(
+                        validateNumericInput(sceneEl.querySelector('.hCrop').value, 0, 100),
+                        validateNumericInput(sceneEl.querySelector('.vCrop').value, 0, 100)));
+                    this.renderRegionsField(sceneEl);
+                }
+
+                this.syncScene(tabId, sceneEl);
+                if (this.videoPreview.selectedScene === sceneEl) {
+                    this.videoPreview.selectScene(sceneEl);
+                }
+            });
+        });
+
+        // Moving a scene to another source previews that source's video
+        sceneEl.querySelector('.source').addEventListener('change', () => {
+            this.syncScene(tabId, sceneEl);
+            if (this.videoPreview.selectedScene === sceneEl) {
+                this.videoPreview.selectScene(sceneEl);
+            }
+        });
+
+        // Split-screen regions
+        sceneEl.querySelector('.regions').addEventListener('input', () => {
+            this.renderRegionsField(sceneEl);
+            this.syncScene(tabId, sceneEl);
+            if (this.videoPreview.selectedScene === sceneEl) {
+                this.videoPreview.selectScene(sceneEl);
+            }
+        });
+
+        sceneEl.querySelector('.region-list').addEventListener('click', (e) => {
+            const regions = getRegions(sceneEl);
+            const chip = e.target.closest('.region-chip');
+            const index = chip ? parseInt(chip.dataset.index) : -1;
+
+            if (e.target.closest('.region-add')) {
+                regions.push({ ...regions[regions.length - 1], pan: false });
+                sceneEl.dataset.activeRegion = regions.length - 1;
+                setRegions(sceneEl, regions);
+            } else if (e.target.closest('.region-remove') && regions.length > 2) {
+                regions.splice(index, 1);
+                sceneEl.dataset.activeRegion = Math.min(index, regions.length - 1);
+                setRegions(sceneEl, regions);
+            } else if (e.target.closest('.region-select')) {
+                sceneEl.dataset.activeRegion = index;
+                this.renderRegionsField(sceneEl);
+                this.videoPreview.selectScene(sceneEl);
+            }
+        });
+
+        sceneEl.querySelector('.region-list').addEventListener('input', (e) => {
+            if (!e.target.classList.contains('region-share')) return;
+            const regions = getRegions(sceneEl);
+            const index = parseInt(e.target.closest('.region-chip').dataset.index);
+            regions[index].share = validateNumericInput(e.target.value, 1, DEFAULTS.MAX_REGION_SHARE) || 1;
+            sceneEl.querySelector('.regions').value = JSON.stringify(regions);
+            this.syncScene(tabId, sceneEl);
+            if (this.videoPreview.selectedScene === sceneEl) {
+                this.videoPreview.updateCropWindow();
+            }
+        });
+
+        // Transition from the previous scene shortens the clip timeline
+        const transitionSelect = sceneEl.querySelector('.transition');
+        const transitionDurationInput = sceneEl.querySelector('.transitionDuration');
+        [transitionSelect, transitionDurationInput].forEach(input => {
             input.addEventListener('input', () => {
-                this.commandGenerator.updateCommand(tabId);
-                this.validateAllTabs();
+                transitionDurationInput.style.display = transitionSelect.value === CUT_TRANSITION ? 'none' : 'block';
+                this.syncScene(tabId, sceneEl);
             });
         });
 
+        // Speed changes the scene's output length
+        sceneEl.querySelectorAll('.speed, .speedRamp, .speedEnd, .reverse').forEach(input => {
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+                sceneEl.querySelector('.speedEndField').style.display = sceneEl.querySelector('.speedRamp').checked ? 'block' : 'none';
+                this.syncScene(tabId, sceneEl);
+            });
+        });
+
+        // Crop keyframes
+        const keyframesInput = sceneEl.querySelector('.keyframes');
+        keyframesInput.addEventListener('input', () => {
+            this.updateKeyframeField(sceneEl);
+            this.syncScene(tabId, sceneEl);
+            if (this.videoPreview.selectedScene === sceneEl) {
+                this.videoPreview.renderKeyframeMarkers();
+                this.videoPreview.updateCropWindow();
+            }
+        });
+
+        sceneEl.querySelector('.clear-keyframes').addEventListener('click', () => {
+            keyframesInput.value = '[]';
+            keyframesInput.dispatchEvent(new Event('input'));
+        });
+
         // Scene selection
         sceneEl.addEventListener('click', (e) => {
             if (!e.target.closest('button') && !e.target.closest('input') && !e.target.closest('select')) {
@@ -201,37 +510,98 @@ export class SceneManager {
         const container = document.querySelector(`#${tabId} .scenes`);
 
         // Defaults: inherit from previous scene in this tab
-        const prev = container.querySelector('.scene:last-child');
+        const prev = this.projectModel.getClip(tabId)?.scenes.at(-1);
         let startDefault = overrideStart !== null ? overrideStart : 0;
         let endDefault = startDefault + DEFAULTS.DEFAULT_SCENE_LENGTH;
         let hCropDefault = 50;
+        let vCropDefault = 50;
+        let zoomDefault = 1;
+        let fitModeDefault = FIT_MODES.CROP;
+        let padColorDefault = DEFAULTS.PAD_COLOR;
 
         if (prev) {
-            const prevEnd = validateNumericInput(prev.querySelector('.end')?.value);
-            const prevHCrop = validateNumericInput(prev.querySelector('.hCrop')?.value, 0, 100);
-            const prevPan = prev.querySelector('.panToggle')?.checked || false;
-            const prevHCropEnd = validateNumericInput(prev.querySelector('.hCropEnd')?.value, 0, 100);
+            const prevEnd = validateNumericInput(prev.end);
             
             startDefault = prevEnd;
             endDefault = +(prevEnd + DEFAULTS.DEFAULT_SCENE_LENGTH).toFixed(2);
-            hCropDefault = prevPan ? prevHCropEnd : prevHCrop;
+            hCropDefault = validateNumericInput(prev.pan ? prev.hCropEnd : prev.hCrop, 0, 100);
+            vCropDefault = validateNumericInput(prev.pan ? prev.vCropEnd : prev.vCrop, 0, 100);
+            zoomDefault = validateNumericInput(prev.zoomEnd, 1, DEFAULTS.MAX_ZOOM);
+            fitModeDefault = prev.fitMode;
+            padColorDefault = prev.padColor;
+
+            // Continue from where the previous scene's keyframed path ends
+            if (prev.keyframes.length > 0) {
+                hCropDefault = prev.keyframes[prev.keyframes.length - 1].h;
+                vCropDefault = prev.keyframes[prev.keyframes.length - 1].v;
+            }
         }
 
         const div = this.createSceneElement(tabId, {
             start: startDefault,
             end: endDefault,
-            hCrop: hCropDefault
+            hCrop: hCropDefault,
+            vCrop: vCropDefault,
+            zoom: zoomDefault,
+            fitMode: fitModeDefault,
+            padColor: padColorDefault
         });
         
         container.appendChild(div);
 
-        this.recalcClipStarts(tabId);
-        this.commandGenerator.updateCommand(tabId);
-        this.validateAllTabs();
+        this.syncClip(tabId);
+        this.historyManager.record('Add scene');
         
         return div;
     }
 
+    // Sets a scene's source times; the start field's input handler works out the length and publishes the scene
+    setSceneTimes(sceneEl, start, end) {
+        if (!sceneEl) return;
+
+        const startInput = sceneEl.querySelector('.start');
+        startInput.value = start.toFixed(2);
+        sceneEl.querySelector('.end').value = end.toFixed(2);
+        sceneEl.querySelector('.length').value = (end - start).toFixed(2);
+        startInput.dispatchEvent(new Event('input'));
+    }
+
+    // Gives the clip one scene per { start, end } segment of the previewed source, as a single
+    // history entry. Scenes already covering a segment are cut down to it and keep their settings;
+    // parts no scene covers are added after them through addScene, taking its defaults. Scenes
+    // from other sources stay as they are. Returns how many scenes the segments became
+    splitScenes(tabId, segments, label) {
+        const sourceId = getActiveSourceId();
+        const scenes = Array.from(document.querySelectorAll(`#${tabId} .scene`))
+            .filter(sceneEl => getSceneSourceId(sceneEl) === sourceId)
+            .map(sceneEl => ({ sceneEl, scene: readSceneData(sceneEl) }))
+            .filter(({ scene }) => scene.end > scene.start);
+        const uncovered = getUncovered(segments, scenes.map(({ scene }) => scene));
+
+        const plan = scenes.map(({ sceneEl, scene }) => {
+            const ranges = segments
+                .map(segment => ({
+                    start: +Math.max(segment.start, scene.start).toFixed(2),
+                    end: +Math.min(segment.end, scene.end).toFixed(2)
+                }))
+                .filter(range => range.end > range.start);
+
+            // Reversed scenes play their last part first
+            if (scene.reverse) ranges.reverse();
+            return { sceneEl, pieces: ranges.map((range, i) => getScenePiece(scene, range.start, range.end, i === 0)) };
+        });
+
+        this.historyManager.batch(label, () => this.projectModel.batch(() => {
+            plan.forEach(({ sceneEl, pieces }) => {
+                pieces.forEach(piece => sceneEl.before(this.createSceneElement(tabId, piece)));
+                sceneEl.remove();
+            });
+            this.syncClip(tabId);
+            uncovered.forEach(part => this.setSceneTimes(this.addScene(tabId), part.start, part.end));
+        }));
+        return plan.reduce((sum, { pieces }) => sum + pieces.length, uncovered.length);
+    }
+
     addSceneFromPreview(tabId) {
         if (!this.videoPreview.videoLoaded || !tabId) {
             alert('Please load a video first.');
@@ -245,8 +615,6 @@ export class SceneManager {
         if (newScene) {
             this.videoPreview.selectScene(newScene);
         }
-        
-        this.commandGenerator.updateCommand(tabId);
     }
 
     setupSceneDrag(sceneEl, tabId) {
@@ -302,39 +670,43 @@ export class SceneManager {
                 container.insertBefore(this.draggedScene, sceneEl);
             }
 
-            this.recalcClipStarts(tabId);
-            this.commandGenerator.updateCommand(tabId);
-            this.validateAllTabs();
+            this.syncClip(tabId);
+            this.historyManager.record('Move scene');
         });
     }
 
     recalcClipStarts(tabId) {
         const scenes = Array.from(document.querySelectorAll(`#${tabId} .scene`));
-        let cumulative = 0;
+        const timeline = getClipTimeline(this.projectModel.getClip(tabId)?.scenes || []);
         
         scenes.forEach((scene, idx) => {
             const clipStartInput = scene.querySelector('.clipStart');
-            const lengthInput = scene.querySelector('.length');
-            const duration = validateNumericInput(lengthInput.value);
+            const entry = timeline.scenes[idx];
+            if (!entry) return;
             
-            clipStartInput.value = cumulative.toFixed(2);
+            clipStartInput.value = entry.start.toFixed(2);
+            scene.querySelector('.outputLength').value = entry.length.toFixed(2);
             clipStartInput.readOnly = (idx === 0);
-            
-            cumulative += duration;
+
+            // The first scene has nothing to transition from
+            scene.querySelector('.transitionField').style.visibility = idx === 0 ? 'hidden' : 'visible';
         });
     }
 
     handleClipStartEdit(tabId, currentScene) {
         const scenes = Array.from(document.querySelectorAll(`#${tabId} .scene`));
+        const sceneData = this.projectModel.getClip(tabId)?.scenes || [];
         const idx = scenes.indexOf(currentScene);
-        if (idx <= 0) return; // First scene cannot be edited
+        if (idx <= 0 || !sceneData[idx]) return; // First scene cannot be edited
 
         const prevScene = scenes[idx - 1];
         const currentClipStart = validateNumericInput(currentScene.querySelector('.clipStart').value);
         const prevClipStart = validateNumericInput(prevScene.querySelector('.clipStart').value);
         
-        // New duration for previous scene = currentClipStart - prevClipStart
-        const newPrevDuration = Math.max(0, currentClipStart - prevClipStart);
+        // New duration for previous scene = currentClipStart - prevClipStart, plus the transition overlap
+        const overlap = getClipTimeline(sceneData).scenes[idx].transition.duration;
+        const { speed, speedEnd } = getSpeed(sceneData[idx - 1]);
+        const newPrevDuration = getSourceDuration(Math.max(0, currentClipStart - prevClipStart + overlap), speed, speedEnd);
         const prevStartInput = prevScene.querySelector('.start');
         const prevLengthInput = prevScene.querySelector('.length');
         const prevEndInput = prevScene.querySelector('.end');
@@ -343,43 +715,37 @@ export class SceneManager {
         prevLengthInput.value = newPrevDuration.toFixed(2);
         prevEndInput.value = (prevStart + newPrevDuration).toFixed(2);
         
-        this.recalcClipStarts(tabId);
-        this.commandGenerator.updateCommand(tabId);
-        this.validateAllTabs();
+        this.syncScene(tabId, prevScene);
     }
 
     validateContinuity(tabId) {
         try {
-            const scenes = document.querySelectorAll(`#${tabId} .scene`);
+            const sceneEls = document.querySelectorAll(`#${tabId} .scene`);
+            const clipIndex = this.projectModel.getClipIndex(tabId);
+            const scenes = this.projectModel.getClip(tabId)?.scenes || [];
             const eps = DEFAULTS.CONTINUITY_EPSILON;
             
             scenes.forEach((scene, idx) => {
-                const startInput = scene.querySelector('.start');
+                const startInput = sceneEls[idx]?.querySelector('.start');
                 if (!startInput) return;
                 
-                const startVal = validateNumericInput(startInput.value);
+                const startVal = validateNumericInput(scene.start);
                 let hasGap = false;
                 let gapMessage = '';
                 
                 if (idx === 0) {
                     // First scene in this clip: check against previous clip's last scene
-                    const tabButtons = Array.from(document.querySelectorAll('.tab-button'));
-                    const currentTabIndex = tabButtons.findIndex(btn => btn.id === `tabbtn-${tabId}`);
-                    if (currentTabIndex > 0) {
-                        const prevTabId = tabButtons[currentTabIndex - 1].id.replace('tabbtn-', '');
-                        const prevClipScenes = document.querySelectorAll(`#${prevTabId} .scene`);
-                        if (prevClipScenes.length > 0) {
-                            const lastSceneOfPrevClip = prevClipScenes[prevClipScenes.length - 1];
-                            const prevEnd = validateNumericInput(lastSceneOfPrevClip.querySelector('.end')?.value);
-                            const gap = Math.abs(startVal - prevEnd);
-                            if (gap > eps) {
-                                hasGap = true;
-                                gapMessage = `Gap from previous clip: ${gap.toFixed(2)}s (expected ${prevEnd.toFixed(2)}s)`;
-                            }
+                    const lastSceneOfPrevClip = this.projectModel.getClips()[clipIndex - 1]?.scenes.at(-1);
+                    if (clipIndex > 0 && lastSceneOfPrevClip) {
+                        const prevEnd = validateNumericInput(lastSceneOfPrevClip.end);
+                        const gap = Math.abs(startVal - prevEnd);
+                        if (gap > eps) {
+                            hasGap = true;
+                            gapMessage = `Gap from previous clip: ${gap.toFixed(2)}s (expected ${prevEnd.toFixed(2)}s)`;
                         }
                     }
                 } else {
-                    const prevEnd = validateNumericInput(scenes[idx - 1].querySelector('.end')?.value);
+                    const prevEnd = validateNumericInput(scenes[idx - 1].end);
                     const gap = Math.abs(startVal - prevEnd);
                     if (gap > eps) {
                         hasGap = true;
@@ -414,12 +780,49 @@ export class SceneManager {
         }
     }
 
-    validateAllTabs() {
-        const tabButtons = document.querySelectorAll('.tab-button');
-        tabButtons.forEach(btn => {
-            const tabId = btn.id.replace('tabbtn-', '');
-            this.validateContinuity(tabId);
-        });
+    validateClipDuration(tabId) {
+        const durationEl = document.querySelector(`#${tabId} .clip-duration`);
+        const tabBtn = document.getElementById(`tabbtn-${tabId}`);
+        if (!durationEl) return;
+
+        const { total } = getClipTimeline(this.projectModel.getClip(tabId)?.scenes || []);
+        const limit = getMaxClipDuration(this.projectModel.getSettings());
+
+        if (limit && total > limit.seconds + DEFAULTS.CONTINUITY_EPSILON) {
+            const message = `Clip length ${total.toFixed(2)}s exceeds the ${limit.seconds}s limit for ${limit.presetName}`;
+            durationEl.textContent = `⚠️ ${message}`;
+            durationEl.classList.add('warn');
+            tabBtn?.classList.add('warn');
+            if (tabBtn) tabBtn.title = message;
+        } else {
+            durationEl.textContent = limit
+                ? `Clip length: ${total.toFixed(2)}s of ${limit.seconds}s (${limit.presetName})`
+                : `Clip length: ${total.toFixed(2)}s`;
+            durationEl.classList.remove('warn');
+            tabBtn?.classList.remove('warn');
+            tabBtn?.removeAttribute('title');
+        }
+    }
+
+    updateKeyframeField(sceneEl) {
+        const count = getKeyframes(sceneEl).length;
+        sceneEl.querySelector('.keyframeCount').textContent = count;
+        sceneEl.querySelector('.keyframesField').style.display = count ? 'flex' : 'none';
+    }
+
+    renderRegionsField(sceneEl) {
+        const regions = getRegions(sceneEl);
+        const active = getActiveRegion(sceneEl);
+
+        const chips = regions.map((region, i) => `
+            <span class="region-chip ${i === active ? 'active' : ''}" data-index="${i}">
+                <button class="region-select" title="Position region ${i + 1} on the preview">${i + 1}${region.pan ? '↔' : ''}</button>
+                <input type="number" class="region-share" value="${region.share}" min="1" max="${DEFAULTS.MAX_REGION_SHARE}" step="1" title="Relative size">
+                ${regions.length > 2 ? '<button class="region-remove" title="Remove region">×</button>' : ''}
+            </span>
+        `).join('');
+
+        sceneEl.querySelector('.region-list').innerHTML = `${chips}<button class="region-add" title="Add region">+</button>`;
     }
 
     togglePan(sceneId) {
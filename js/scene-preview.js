@@ -0,0 +1,101 @@
+import { DOM_ELEMENTS, FIT_MODES } from './constants.js';
+import { getCropAt } from './command-core.js';
+import { readSceneData } from './scene-manager.js';
+import { getActiveRegion } from './regions.js';
+
+// Plays the selected scene from its start to its end while the crop window follows the pan,
+// keyframes and zoom as the generated command will move them. At the end it stops, or starts
+// over when Loop is ticked; pausing the video also ends the preview
+export class ScenePreviewManager {
+    constructor(videoPreview) {
+        this.videoPreview = videoPreview;
+        this.playing = null;
+
+        this.init();
+    }
+
+    init() {
+        // A scene running to the end of the video pauses it too; the tick decides what happens then
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        video?.addEventListener('pause', () => {
+            if (this.playing && !video.ended) this.stop();
+        });
+    }
+
+    toggleScenePreview() {
+        if (this.playing) {
+            this.stop();
+            return;
+        }
+
+        const sceneEl = this.videoPreview.selectedScene;
+        if (!this.videoPreview.videoLoaded || !sceneEl) {
+            alert('Please load a video and click on a scene to select it first.');
+            return;
+        }
+
+        const scene = readSceneData(sceneEl);
+        if (!(scene.end > scene.start)) {
+            alert('The scene needs an end time after its start time.');
+            return;
+        }
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        this.playing = {
+            sceneEl,
+            scene,
+            regionIndex: scene.fitMode === FIT_MODES.STACK ? getActiveRegion(sceneEl) : 0
+        };
+        video.currentTime = scene.start;
+        video.play();
+        document.querySelector(DOM_ELEMENTS.playPauseBtn).textContent = '⏸ Pause';
+        document.querySelector(DOM_ELEMENTS.previewSceneBtn).textContent = '⏹ Stop Preview';
+        requestAnimationFrame(() => this.tick());
+    }
+
+    tick() {
+        if (!this.playing) return;
+
+        const { sceneEl, scene, regionIndex } = this.playing;
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        if (this.videoPreview.selectedScene !== sceneEl) {
+            this.stop();
+            return;
+        }
+
+        if (video.currentTime >= scene.end || video.ended) {
+            if (!document.querySelector(DOM_ELEMENTS.previewLoop).checked) {
+                this.stop();
+                return;
+            }
+            video.currentTime = scene.start;
+            if (video.ended) video.play();
+        }
+
+        const time = Math.min(scene.end, Math.max(scene.start, video.currentTime));
+        const { h, v, zoom } = getCropAt(scene, time, null, regionIndex);
+        this.videoPreview.cropPercent = h;
+        this.videoPreview.cropPercentY = v;
+        this.videoPreview.zoom = zoom;
+        this.videoPreview.updateCropWindow();
+
+        requestAnimationFrame(() => this.tick());
+    }
+
+    // The scene is selected again, which puts its own crop back in the preview; the video stays
+    // where the preview stopped
+    stop() {
+        const { sceneEl } = this.playing;
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        this.playing = null;
+
+        video.pause();
+        document.querySelector(DOM_ELEMENTS.playPauseBtn).textContent = '▶ Play';
+        document.querySelector(DOM_ELEMENTS.previewSceneBtn).textContent = '🎬 Preview Scene';
+        if (this.videoPreview.selectedScene === sceneEl) {
+            const time = video.currentTime;
+            this.videoPreview.selectScene(sceneEl);
+            this.videoPreview.seekVideo(time);
+        }
+    }
+}
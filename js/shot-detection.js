@@ -0,0 +1,195 @@
+import { DEFAULTS, DOM_ELEMENTS } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { formatTime, seekVideoTo } from './utils.js';
+import { getActiveSourceId } from './media-bin.js';
+
+const HISTOGRAM_BINS = 16;
+
+// Luma of every pixel of an RGBA frame, with its histogram normalised to sum to 1
+export function readFrame({ data }) {
+    const luma = new Float32Array(data.length / 4);
+    const histogram = new Float32Array(HISTOGRAM_BINS);
+    for (let i = 0; i < luma.length; i++) {
+        const value = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        luma[i] = value;
+        histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor(value / 256 * HISTOGRAM_BINS))] += 1 / luma.length;
+    }
+    return { luma, histogram };
+}
+
+// 0 for identical frames to 1 for completely different ones. The histogram half keeps camera
+// and subject motion from scoring as high as a cut; the pixel half catches cuts between shots
+// with similar colours
+export function scoreFrameChange(a, b) {
+    let pixels = 0;
+    for (let i = 0; i < a.luma.length; i++) {
+        pixels += Math.abs(a.luma[i] - b.luma[i]);
+    }
+    let histogram = 0;
+    for (let i = 0; i < HISTOGRAM_BINS; i++) {
+        histogram += Math.abs(a.histogram[i] - b.histogram[i]);
+    }
+    return (pixels / a.luma.length / 255 + histogram / 2) / 2;
+}
+
+// Shots as [{ start, end }] between the cut times
+export function getShots(cuts, duration) {
+    const times = [0, ...cuts, duration];
+    return times.slice(1).map((end, i) => ({ start: times[i], end }));
+}
+
+// Finds hard cuts in the previewed video by sampling its frames into a small canvas and scoring
+// the change between neighbouring samples. A pair scoring over the threshold is narrowed down to
+// the frame where the cut happens. The cuts are shown as markers under the seek bar and can give
+// the active clip one scene per shot
+export class ShotDetectionManager {
+    constructor(videoPreview, sceneManager, tabManager) {
+        this.videoPreview = videoPreview;
+        this.sceneManager = sceneManager;
+        this.tabManager = tabManager;
+        this.detected = {};
+        this.run = 0;
+        this.running = false;
+        this.canvas = document.createElement('canvas');
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.videoPreview.onVideoLoaded(() => this.renderMarkers());
+    }
+
+    setupEventListeners() {
+        document.querySelector(DOM_ELEMENTS.shotMarkers)?.addEventListener('click', (e) => {
+            const marker = e.target.closest('.shot-marker');
+            if (marker) {
+                this.videoPreview.seekVideo(marker.dataset.time);
+            }
+        });
+    }
+
+    // Cuts found for the video on show, or null when it has not been analysed
+    getCuts() {
+        const stored = this.videoPreview.sourceVideos[getActiveSourceId()];
+        const detected = stored && this.detected[stored.url];
+        return this.videoPreview.videoLoaded && detected ? detected : null;
+    }
+
+    readThreshold() {
+        const threshold = parseFloat(document.querySelector(DOM_ELEMENTS.shotThreshold).value);
+        return isNaN(threshold) ? DEFAULTS.SHOT_THRESHOLD : Math.min(1, Math.max(0.01, threshold));
+    }
+
+    // Started and stopped from the same button
+    async toggleDetection() {
+        if (this.running) {
+            this.run++;
+            return;
+        }
+        if (!this.videoPreview.videoLoaded) {
+            alert('Please load a video first.');
+            return;
+        }
+
+        const run = ++this.run;
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const url = this.videoPreview.sourceVideos[getActiveSourceId()].url;
+        const resumeAt = video.currentTime;
+        const button = document.querySelector(DOM_ELEMENTS.detectShotsBtn);
+        video.pause();
+        this.running = true;
+        button.textContent = '■ Stop';
+
+        try {
+            const cuts = await this.findCuts(video, () => run !== this.run);
+            if (run === this.run) {
+                this.detected[url] = cuts;
+                ErrorHandler.showSuccess(`Found ${cuts.length + 1} shots`);
+            }
+        } finally {
+            this.running = false;
+            button.textContent = '🎞 Detect Shots';
+            if (video.src === url) {
+                this.videoPreview.seekVideo(resumeAt);
+            }
+            this.renderMarkers();
+        }
+    }
+
+    async findCuts(video, stopped) {
+        const width = DEFAULTS.SHOT_SAMPLE_WIDTH;
+        const height = Math.max(1, Math.round(width * this.videoPreview.videoHeight / this.videoPreview.videoWidth));
+        this.canvas.width = width;
+        this.canvas.height = height;
+        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        const sample = async (time) => {
+            await seekVideoTo(video, time);
+            ctx.drawImage(video, 0, 0, width, height);
+            return readFrame(ctx.getImageData(0, 0, width, height));
+        };
+
+        const threshold = this.readThreshold();
+        const frameDuration = 1 / this.videoPreview.frameRate;
+        const interval = DEFAULTS.SHOT_SAMPLE_INTERVAL;
+        const info = document.querySelector(DOM_ELEMENTS.shotInfo);
+        const cuts = [];
+        let previous = await sample(0);
+
+        for (let time = interval; time < video.duration; time += interval) {
+            if (stopped()) return cuts;
+            info.textContent = `Analysing ${Math.round((time / video.duration) * 100)}%`;
+
+            const frame = await sample(time);
+            if (scoreFrameChange(previous, frame) >= threshold) {
+                // Halve the gap until the cut is pinned to a frame
+                let before = { time: time - interval, frame: previous };
+                let after = time;
+                while (after - before.time > frameDuration) {
+                    const middle = (before.time + after) / 2;
+                    const middleFrame = await sample(middle);
+                    if (scoreFrameChange(before.frame, middleFrame) >= threshold) {
+                        after = middle;
+                    } else {
+                        before = { time: middle, frame: middleFrame };
+                    }
+                }
+
+                // Flashes and fast pans can score twice in a row; very short shots are dropped
+                if (after - (cuts.at(-1) || 0) >= DEFAULTS.MIN_SHOT_LENGTH) {
+                    cuts.push(+after.toFixed(3));
+                }
+            }
+            previous = frame;
+        }
+        return cuts;
+    }
+
+    renderMarkers() {
+        const container = document.querySelector(DOM_ELEMENTS.shotMarkers);
+        const info = document.querySelector(DOM_ELEMENTS.shotInfo);
+        const createBtn = document.querySelector(DOM_ELEMENTS.createShotScenesBtn);
+        if (!container || this.running) return;
+
+        const cuts = this.getCuts();
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        container.innerHTML = (cuts || []).map(time => `
+            <div class="shot-marker" data-time="${time}" style="left:${(time / video.duration) * 100}%;" title="Cut at ${formatTime(time)}"></div>`).join('');
+        info.textContent = cuts ? `${cuts.length + 1} shots` : '';
+        createBtn.disabled = !cuts;
+    }
+
+    createShotScenes() {
+        const tabId = this.tabManager.getActiveTab();
+        const cuts = this.getCuts();
+        if (!cuts || !tabId) {
+            alert('Please detect the shots of a video first.');
+            return;
+        }
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const count = this.sceneManager.splitScenes(tabId, getShots(cuts, video.duration), 'Create scene per shot');
+        ErrorHandler.showSuccess(`Created ${count} scenes, one per shot`);
+    }
+}
@@ -0,0 +1,110 @@
+// Scene playback speed helpers
+import { DEFAULTS } from './constants.js';
+import { validateNumericInput } from './utils.js';
+
+// Speed settings of a scene; speedEnd differs from speed when the scene ramps
+export function getSpeed(scene) {
+    const speed = scene?.speed || 1;
+    const speedEnd = scene?.speedRamp ? (scene.speedEnd || speed) : speed;
+
+    return { speed, speedEnd, reverse: !!scene?.reverse };
+}
+
+// Speed at a source time inside the scene. The ramp runs in the order the scene plays, so a
+// reversed scene starts at its speed from its end
+export function getSpeedAt(scene, time) {
+    const { speed, speedEnd, reverse } = getSpeed(scene);
+    const fraction = (time - scene.start) / (scene.end - scene.start);
+    return speed + (speedEnd - speed) * (reverse ? 1 - fraction : fraction);
+}
+
+// Output time after `time` seconds of source at a speed ramping linearly over `duration`
+function rampTime(time, duration, speed, speedEnd) {
+    if (speed === speedEnd) return time / speed;
+    const k = (speedEnd - speed) / duration;
+    return Math.log(1 + k * time / speed) / k;
+}
+
+export function getOutputDuration(sourceDuration, speed = 1, speedEnd = speed) {
+    if (sourceDuration <= 0) return 0;
+    return rampTime(sourceDuration, sourceDuration, speed, speedEnd);
+}
+
+// Inverse of getOutputDuration, used when the output length is edited directly
+export function getSourceDuration(outputDuration, speed = 1, speedEnd = speed) {
+    if (speed === speedEnd) return outputDuration * speed;
+    return outputDuration * (speedEnd - speed) / Math.log(speedEnd / speed);
+}
+
+export function getSceneOutputDuration(scene) {
+    const { speed, speedEnd } = getSpeed(scene);
+    return getOutputDuration(validateNumericInput(scene.end - scene.start), speed, speedEnd);
+}
+
+// atempo only accepts factors between 0.5 and 2 in older ffmpeg builds, so chain it
+export function buildAtempoChain(factor) {
+    const filters = [];
+    let remaining = factor;
+
+    while (remaining > 2) {
+        filters.push('atempo=2');
+        remaining /= 2;
+    }
+    while (remaining < 0.5) {
+        filters.push('atempo=0.5');
+        remaining /= 0.5;
+    }
+    if (Math.abs(remaining - 1) > 1e-6) {
+        filters.push(`atempo=${+remaining.toFixed(6)}`);
+    }
+
+    return filters.join(',');
+}
+
+// Video filters applied after cropping; empty at normal speed
+export function buildVideoSpeedFilters(duration, { speed, speedEnd, reverse }) {
+    const filters = reverse ? ['reverse'] : [];
+
+    if (speed !== speedEnd) {
+        const k = +((speedEnd - speed) / duration).toFixed(6);
+        filters.push(`setpts='log(1+${k}*T/${speed})/${k}/TB'`);
+    } else if (speed !== 1) {
+        filters.push(`setpts=PTS/${speed}`);
+    }
+
+    return filters.join(',');
+}
+
+/**
+ * Build the audio chain of a scene from an already trimmed stream.
+ * atempo cannot vary over time, so a ramp is approximated by steps whose
+ * tempo matches the ramp's average over each step, keeping audio in sync with video.
+ * @param {string} inLabel - Trimmed audio label
+ * @param {string} outLabel - Output label
+ * @param {number} duration - Source duration of the scene in seconds
+ * @param {{speed: number, speedEnd: number, reverse: boolean}} settings
+ * @returns {string} Filter chains, or an empty string when the audio is unchanged
+ */
+export function buildAudioSpeedFilters(inLabel, outLabel, duration, { speed, speedEnd, reverse }) {
+    if (speed === speedEnd) {
+        const chain = [reverse ? 'areverse' : '', buildAtempoChain(speed)].filter(Boolean).join(',');
+        return chain ? `[${inLabel}]${chain}[${outLabel}]` : '';
+    }
+
+    const reverseFilter = reverse ? 'areverse,' : '';
+
+    const steps = Math.min(DEFAULTS.MAX_RAMP_STEPS, Math.max(2, Math.ceil(duration)));
+    const stepLabels = Array.from({ length: steps }, (_, i) => `${outLabel}s${i}`);
+    const chains = [`[${inLabel}]${reverseFilter}asplit=${steps}${stepLabels.map(l => `[${l}]`).join('')}`];
+
+    stepLabels.forEach((label, i) => {
+        const from = duration * i / steps;
+        const to = duration * (i + 1) / steps;
+        const tempo = (to - from) / (rampTime(to, duration, speed, speedEnd) - rampTime(from, duration, speed, speedEnd));
+        const atempo = buildAtempoChain(tempo);
+        chains.push(`[${label}]atrim=start=${+from.toFixed(3)}:end=${+to.toFixed(3)},asetpts=PTS-STARTPTS${atempo ? ',' + atempo : ''}[${label}t]`);
+    });
+
+    chains.push(`${stepLabels.map(l => `[${l}t]`).join('')}concat=n=${steps}:v=0:a=1[${outLabel}]`);
+    return chains.join('; ');
+}
@@ -1,12 +1,16 @@
 import { DOM_ELEMENTS } from './constants.js';
 import { createElementFromHTML } from './utils.js';
+import { getClipEncodingOverride } from './encoding-manager.js';
 
 export class TabManager {
-    constructor(sceneManager, commandGenerator) {
+    constructor(sceneManager, commandGenerator, encodingManager, historyManager, projectModel) {
         this.tabCount = 0;
         this.activeTab = null;
         this.sceneManager = sceneManager;
         this.commandGenerator = commandGenerator;
+        this.encodingManager = encodingManager;
+        this.historyManager = historyManager;
+        this.projectModel = projectModel;
         
         this.init();
     }
@@ -21,9 +25,7 @@ export class TabManager {
         // This will be handled by the main app
     }
 
-    addTab(name) {
-        this.tabCount++;
-        const tabId = `clip-${this.tabCount}`;
+    createTabElements(tabId, name, encodingOverride = null) {
         const tabs = document.querySelector(DOM_ELEMENTS.tabs);
 
         // Create tab button
@@ -53,6 +55,7 @@ export class TabManager {
         const contentHtml = `
             <div class="tab-content" id="${tabId}">
                 <div class="scenes"></div>
+                <div class="clip-duration"></div>
                 <button class="add-scene-btn">+ Add Scene</button>
                 <div style="margin-top: 20px;">
                     <div class="command-header">
@@ -74,8 +77,27 @@ export class TabManager {
             this.commandGenerator.copyCommand(tabId);
         });
 
+        // Per-clip encoding sits above the generated command
+        content.querySelector('.command-header').parentNode
+            .before(this.encodingManager.createClipEncodingElement(tabId, encodingOverride));
+
         document.querySelector(DOM_ELEMENTS.tabsContent).appendChild(content);
 
+        return content;
+    }
+
+    addTab(name) {
+        // The clip's first scene is part of the same history entry
+        return this.historyManager.batch('Add clip', () => this.createTab(name));
+    }
+
+    createTab(name) {
+        this.tabCount++;
+        const tabId = `clip-${this.tabCount}`;
+        const clipName = name || `Clip ${this.tabCount}`;
+        const content = this.createTabElements(tabId, clipName);
+        this.projectModel.addClip({ id: tabId, name: clipName });
+
         // Initialize validation for any inputs in the new tab content
         if (window.ffmpegApp && window.ffmpegApp.validationSetup) {
             window.ffmpegApp.validationSetup.initializeContainerValidation(content);
@@ -84,17 +106,9 @@ export class TabManager {
         this.setActiveTab(tabId);
 
         // Create initial scene with start time from previous clip's last scene
-        let initialStart = 0;
-        const tabButtons = Array.from(document.querySelectorAll('.tab-button'));
-        const currentTabIndex = tabButtons.findIndex(btn => btn.id === `tabbtn-${tabId}`);
-        if (currentTabIndex > 0) {
-            const prevTabId = tabButtons[currentTabIndex - 1].id.replace('tabbtn-', '');
-            const prevClipScenes = document.querySelectorAll(`#${prevTabId} .scene`);
-            if (prevClipScenes.length > 0) {
-                const lastScene = prevClipScenes[prevClipScenes.length - 1];
-                initialStart = parseFloat(lastScene.querySelector('.end')?.value) || 0;
-            }
-        }
+        const clips = this.projectModel.getClips();
+        const lastScene = clips[this.projectModel.getClipIndex(tabId) - 1]?.scenes.at(-1);
+        const initialStart = lastScene?.end || 0;
         
         this.sceneManager.addScene(tabId, initialStart);
 
@@ -113,18 +127,19 @@ export class TabManager {
     }
 
     removeTab(tabId) {
-        document.getElementById(`tabbtn-${tabId}`)?.remove();
-        document.getElementById(tabId)?.remove();
-        
-        const remaining = document.querySelectorAll('.tab-button');
-        if (remaining.length > 0) {
-            const firstId = remaining[0].id.replace('tabbtn-', '');
-            this.setActiveTab(firstId);
-        } else {
-            this.addTab();
-        }
-        
-        this.sceneManager.validateAllTabs();
+        this.historyManager.batch('Close clip', () => {
+            document.getElementById(`tabbtn-${tabId}`)?.remove();
+            document.getElementById(tabId)?.remove();
+            this.projectModel.removeClip(tabId);
+            
+            const remaining = document.querySelectorAll('.tab-button');
+            if (remaining.length > 0) {
+                const firstId = remaining[0].id.replace('tabbtn-', '');
+                this.setActiveTab(firstId);
+            } else {
+                this.addTab();
+            }
+        });
     }
 
     getActiveTab() {
@@ -132,12 +147,7 @@ export class TabManager {
     }
 
     getAllTabs() {
-        const tabButtons = document.querySelectorAll('.tab-button');
-        return Array.from(tabButtons).map(btn => {
-            const tabId = btn.id.replace('tabbtn-', '');
-            const clipName = btn.querySelector('span')?.textContent || tabId;
-            return { id: tabId, name: clipName };
-        });
+        return this.projectModel.getClips().map(clip => ({ id: clip.id, name: clip.name }));
     }
 
     loadTabsFromData(clipsData) {
@@ -148,56 +158,10 @@ export class TabManager {
         this.activeTab = null;
 
         // Create clips and scenes from data
-        clipsData.forEach(clipData => {
+        const clips = clipsData.map(clipData => {
             this.tabCount++;
             const tabId = `clip-${this.tabCount}`;
-            const tabs = document.querySelector(DOM_ELEMENTS.tabs);
-
-            const btnHtml = `
-                <button class="tab-button" id="tabbtn-${tabId}">
-                    <span>${clipData.name || `Clip ${this.tabCount}`}</span>
-                    <span class="tab-close">×</span>
-                </button>
-            `;
-            const btn = createElementFromHTML(btnHtml);
-            
-            btn.addEventListener('click', (e) => {
-                if (!e.target.classList.contains('tab-close')) {
-                    this.setActiveTab(tabId);
-                }
-            });
-
-            btn.querySelector('.tab-close').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.removeTab(tabId);
-            });
-
-            tabs.appendChild(btn);
-
-            const contentHtml = `
-                <div class="tab-content" id="${tabId}">
-                    <div class="scenes"></div>
-                    <button class="add-scene-btn">+ Add Scene</button>
-                    <div style="margin-top: 20px;">
-                        <div class="command-header">
-                            <h3>Generated Command</h3>
-                            <button class="copy-btn" title="Copy to clipboard">📋</button>
-                        </div>
-                        <textarea id="output-${tabId}" readonly></textarea>
-                    </div>
-                </div>
-            `;
-            const content = createElementFromHTML(contentHtml);
-            
-            content.querySelector('.add-scene-btn').addEventListener('click', () => {
-                this.sceneManager.addScene(tabId);
-            });
-
-            content.querySelector('.copy-btn').addEventListener('click', () => {
-                this.commandGenerator.copyCommand(tabId);
-            });
-
-            document.querySelector(DOM_ELEMENTS.tabsContent).appendChild(content);
+            this.createTabElements(tabId, clipData.name, clipData.encoding || null);
 
             // Add scenes
             clipData.scenes.forEach(sceneData => {
@@ -206,18 +170,20 @@ export class TabManager {
                 container.appendChild(div);
             });
 
-            this.setActiveTab(tabId);
-            this.commandGenerator.updateCommand(tabId);
-            this.sceneManager.recalcClipStarts(tabId);
+            // The model gets the scenes as the editor filled in their defaults
+            return {
+                id: tabId,
+                name: clipData.name,
+                encoding: getClipEncodingOverride(tabId),
+                scenes: this.sceneManager.readClipScenes(tabId)
+            };
         });
 
+        this.projectModel.setClips(clips);
+
         // Activate first tab
-        const firstBtn = document.querySelector('.tab-button');
-        if (firstBtn) {
-            const firstId = firstBtn.id.replace('tabbtn-', '');
-            this.setActiveTab(firstId);
+        if (clips.length > 0) {
+            this.setActiveTab(clips[0].id);
         }
-        
-        this.sceneManager.validateAllTabs();
     }
 }
\ No newline at end of file
@@ -0,0 +1,232 @@
+import { DEFAULTS, DOM_ELEMENTS } from './constants.js';
+import { formatTime, debounce, seekVideoTo } from './utils.js';
+import { getActiveSourceId } from './media-bin.js';
+
+// Block colours, one per clip in clip order
+const CLIP_COLORS = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#e83e8c', '#17a2b8', '#dc3545', '#6c757d'];
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Zoomable filmstrip under the preview, with a block for every scene of every clip cut from
+// the source on show. Dragging a block's edges trims the scene and dragging its body moves it;
+// the new times go through the scene's own fields, so they reach the project model from there
+export class TimelineManager {
+    constructor(videoPreview, projectModel, sceneManager, tabManager, historyManager) {
+        this.videoPreview = videoPreview;
+        this.projectModel = projectModel;
+        this.sceneManager = sceneManager;
+        this.tabManager = tabManager;
+        this.historyManager = historyManager;
+        this.zoom = 1;
+        this.drag = null;
+        this.filmstripRun = 0;
+        this.thumbVideo = document.createElement('video');
+        this.thumbVideo.muted = true;
+        this.thumbVideo.preload = 'auto';
+        this.refreshFilmstrip = debounce(() => this.renderFilmstrip(), 200);
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.projectModel.subscribe(() => this.renderScenes());
+        this.videoPreview.onVideoLoaded(() => {
+            this.renderScenes();
+            this.renderFilmstrip();
+        });
+    }
+
+    setupEventListeners() {
+        const scenes = document.querySelector(DOM_ELEMENTS.timelineScenes);
+        scenes?.addEventListener('mousedown', (e) => this.startDrag(e));
+        document.addEventListener('mousemove', (e) => this.handleDrag(e));
+        document.addEventListener('mouseup', () => this.endDrag());
+
+        // Clicking the filmstrip outside any scene seeks there
+        document.querySelector(DOM_ELEMENTS.timelineTrack)?.addEventListener('click', (e) => {
+            if (e.target.closest('.timeline-block')) return;
+            this.videoPreview.seekVideo(this.timeAt(e.clientX));
+        });
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        ['timeupdate', 'seeked'].forEach(type => video.addEventListener(type, () => this.renderPlayhead()));
+    }
+
+    getDuration() {
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        return this.videoPreview.videoLoaded ? video.duration || 0 : 0;
+    }
+
+    timeAt(clientX) {
+        const rect = document.querySelector(DOM_ELEMENTS.timelineTrack).getBoundingClientRect();
+        return clamp((clientX - rect.left) / rect.width, 0, 1) * this.getDuration();
+    }
+
+    setZoom(zoom) {
+        this.zoom = clamp(zoom, 1, DEFAULTS.TIMELINE_MAX_ZOOM);
+        document.querySelector(DOM_ELEMENTS.timelineTrack).style.width = `${this.zoom * 100}%`;
+        document.querySelector(DOM_ELEMENTS.timelineZoom).textContent = `${this.zoom}×`;
+
+        // Keep the playhead in view
+        const scroll = document.querySelector(DOM_ELEMENTS.timelineScroll);
+        const duration = this.getDuration();
+        if (duration) {
+            const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+            scroll.scrollLeft = (video.currentTime / duration) * scroll.scrollWidth - scroll.clientWidth / 2;
+        }
+        this.refreshFilmstrip();
+    }
+
+    zoomIn() {
+        this.setZoom(this.zoom * 2);
+    }
+
+    zoomOut() {
+        this.setZoom(this.zoom / 2);
+    }
+
+    getSceneElement(clipId, index) {
+        return document.querySelectorAll(`#${clipId} .scene`)[index] || null;
+    }
+
+    // Scene blocks in one lane per clip that has scenes on the source being previewed
+    renderScenes() {
+        const container = document.querySelector(DOM_ELEMENTS.timelineScenes);
+        const duration = this.getDuration();
+        if (!container || !duration) return;
+
+        const sourceId = getActiveSourceId();
+        const selected = this.videoPreview.selectedScene;
+
+        container.innerHTML = this.projectModel.getClips().map((clip, clipIndex) => {
+            const color = CLIP_COLORS[clipIndex % CLIP_COLORS.length];
+            const blocks = clip.scenes.map((scene, index) => {
+                if (scene.source !== sourceId || !(scene.end > scene.start)) return '';
+
+                const left = clamp(scene.start / duration, 0, 1) * 100;
+                const width = clamp(scene.end / duration, 0, 1) * 100 - left;
+                const isSelected = selected && selected === this.getSceneElement(clip.id, index);
+                return `
+                    <div class="timeline-block${isSelected ? ' selected' : ''}" data-clip="${clip.id}" data-index="${index}"
+                        style="left:${left}%; width:${width}%; background:${color};"
+                        title="${clip.name} · Scene ${index + 1}: ${formatTime(scene.start)} – ${formatTime(scene.end)}">
+                        <div class="timeline-edge" data-edge="start"></div>
+                        <span class="timeline-label">${index + 1}</span>
+                        <div class="timeline-edge" data-edge="end"></div>
+                    </div>`;
+            }).join('');
+
+            return blocks.trim() ? `<div class="timeline-lane">${blocks}</div>` : '';
+        }).join('');
+
+        this.renderPlayhead();
+    }
+
+    renderPlayhead() {
+        const duration = this.getDuration();
+        if (!duration) return;
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        document.querySelector(DOM_ELEMENTS.timelinePlayhead).style.left = `${(video.currentTime / duration) * 100}%`;
+    }
+
+    // Thumbnails come from a second video element so the preview keeps its position.
+    // A newer run, after a zoom or another video, stops the one in progress
+    async renderFilmstrip() {
+        const run = ++this.filmstripRun;
+        const canvas = document.querySelector(DOM_ELEMENTS.filmstrip);
+        const stored = this.videoPreview.sourceVideos[getActiveSourceId()];
+        const duration = this.getDuration();
+        if (!canvas || !stored || !duration) return;
+
+        const height = DEFAULTS.TIMELINE_THUMB_HEIGHT;
+        const width = document.querySelector(DOM_ELEMENTS.timelineTrack).clientWidth;
+        const thumbWidth = height * this.videoPreview.videoWidth / this.videoPreview.videoHeight;
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        if (this.thumbVideo.src !== stored.url) {
+            this.thumbVideo.src = stored.url;
+        }
+
+        for (let x = 0; x < width; x += thumbWidth) {
+            const time = Math.min(duration - 0.01, ((x + thumbWidth / 2) / width) * duration);
+            try {
+                await seekVideoTo(this.thumbVideo, time);
+            } catch (error) {
+                console.warn('Could not draw the filmstrip:', error);
+                return;
+            }
+            if (run !== this.filmstripRun) return;
+            ctx.drawImage(this.thumbVideo, x, 0, thumbWidth, height);
+        }
+    }
+
+    startDrag(e) {
+        const block = e.target.closest('.timeline-block');
+        if (!block || e.button !== 0) return;
+        e.preventDefault();
+
+        const scene = this.projectModel.getClip(block.dataset.clip)?.scenes[block.dataset.index];
+        if (!scene) return;
+
+        this.drag = {
+            clipId: block.dataset.clip,
+            index: parseInt(block.dataset.index),
+            mode: e.target.closest('.timeline-edge')?.dataset.edge || 'move',
+            startX: e.clientX,
+            start: scene.start,
+            end: scene.end,
+            moved: false
+        };
+    }
+
+    handleDrag(e) {
+        if (!this.drag) return;
+
+        const { clipId, index, mode, startX, start, end } = this.drag;
+        const width = document.querySelector(DOM_ELEMENTS.timelineTrack).getBoundingClientRect().width;
+        const duration = this.getDuration();
+        const delta = ((e.clientX - startX) / width) * duration;
+        if (!width || (!this.drag.moved && Math.abs(e.clientX - startX) < 3)) return;
+
+        // A scene keeps at least one frame
+        const minLength = 1 / this.videoPreview.frameRate;
+        let newStart = start;
+        let newEnd = end;
+        if (mode === 'start') {
+            newStart = clamp(start + delta, 0, end - minLength);
+        } else if (mode === 'end') {
+            newEnd = clamp(end + delta, start + minLength, Math.max(duration, end));
+        } else {
+            newStart = clamp(start + delta, 0, Math.max(0, duration - (end - start)));
+            newEnd = newStart + (end - start);
+        }
+
+        this.drag.moved = true;
+        this.sceneManager.setSceneTimes(this.getSceneElement(clipId, index), newStart, newEnd);
+    }
+
+    endDrag() {
+        if (!this.drag) return;
+
+        const { clipId, index, mode, moved } = this.drag;
+        this.drag = null;
+        if (moved) {
+            this.historyManager.record(mode === 'move' ? 'Move scene on timeline' : 'Trim scene on timeline');
+            return;
+        }
+
+        // A click without dragging selects the scene
+        const sceneEl = this.getSceneElement(clipId, index);
+        if (!sceneEl) return;
+        this.tabManager.setActiveTab(clipId);
+        this.videoPreview.selectScene(sceneEl);
+        this.renderScenes();
+    }
+}
@@ -0,0 +1,79 @@
+// Scene transition helpers
+import { CUT_TRANSITION, TRANSITIONS } from './constants.js';
+import { validateNumericInput } from './utils.js';
+import { getSceneOutputDuration } from './speed.js';
+
+// Transition into a scene from the one before it, as { type, duration } with duration 0 for a cut
+export function getTransition(scene) {
+    const type = scene?.transition;
+    if (!type || type === CUT_TRANSITION || !TRANSITIONS[type]) {
+        return { type: CUT_TRANSITION, duration: 0 };
+    }
+
+    return { type, duration: validateNumericInput(scene.transitionDuration) };
+}
+
+/**
+ * Lay the scenes of a clip out on the output timeline, using each scene's duration after speed changes.
+ * A transition overlaps a scene with the previous one, shortening the clip by its duration.
+ * The overlap is capped by the shorter of the two scenes so ffmpeg never runs out of frames.
+ * @param {Object[]} scenes - Scene data in clip order, as held by the project model
+ * @returns {{scenes: Array<{start: number, length: number, transition: {type: string, duration: number}}>, total: number}}
+ */
+export function getClipTimeline(scenes) {
+    let total = 0;
+    let prevLength = 0;
+
+    const timeline = scenes.map((scene, index) => {
+        const length = getSceneOutputDuration(scene);
+        const transition = index === 0 ? { type: CUT_TRANSITION, duration: 0 } : getTransition(scene);
+        const duration = Math.min(transition.duration, prevLength, length);
+        const start = total - duration;
+
+        total = start + length;
+        prevLength = length;
+        return { start, length, transition: { type: duration > 0 ? transition.type : CUT_TRANSITION, duration } };
+    });
+
+    return { scenes: timeline, total };
+}
+
+/**
+ * Join per-scene streams into one video and one audio stream.
+ * Cuts use concat; other transitions use xfade/acrossfade offset by the running output length.
+ * @param {Array<{length: number, transition: {type: string, duration: number}}>} timeline - From getClipTimeline
+ * @param {function(number): string} vLabel - Video label of scene i
+ * @param {function(number): string} aLabel - Audio label of scene i
+ * @param {number} frameRate - Rate every scene stream runs at
+ * @returns {string} Filter chains ending in [v][a]
+ */
+export function buildTransitionChain(timeline, vLabel, aLabel, frameRate) {
+    const filters = [];
+    let v = vLabel(0);
+    let a = aLabel(0);
+    let running = timeline[0].length;
+
+    for (let i = 1; i < timeline.length; i++) {
+        const { length, transition } = timeline[i];
+        const isLast = i === timeline.length - 1;
+        const vOut = isLast ? 'v' : `vx${i}`;
+        const aOut = isLast ? 'a' : `ax${i}`;
+
+        if (transition.type === CUT_TRANSITION) {
+            // concat changes the timebase, which a following xfade rejects
+            filters.push(`[${v}][${vLabel(i)}]concat=n=2:v=1:a=0,fps=${frameRate}[${vOut}]`);
+            filters.push(`[${a}][${aLabel(i)}]concat=n=2:v=0:a=1[${aOut}]`);
+        } else {
+            const duration = +transition.duration.toFixed(3);
+            const offset = +(running - transition.duration).toFixed(3);
+            filters.push(`[${v}][${vLabel(i)}]xfade=transition=${transition.type}:duration=${duration}:offset=${offset}[${vOut}]`);
+            filters.push(`[${a}][${aLabel(i)}]acrossfade=d=${duration}[${aOut}]`);
+        }
+
+        running += length - transition.duration;
+        v = vOut;
+        a = aOut;
+    }
+
+    return filters.join('; ');
+}
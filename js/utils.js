@@ -31,10 +31,33 @@ export function parseDimensions(dimString) {
     return [width, height];
 }
 
+// Whether parseDimensions accepts the string, e.g. false for a half-typed "720x"
+export function isValidDimensions(dimString) {
+    try {
+        parseDimensions(dimString);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Largest even-sized box with the aspect of w×h that fits inside maxW×maxH
+export function fitWithin(w, h, maxW, maxH) {
+    const scale = Math.min(maxW / w, maxH / h);
+    return [Math.floor(w * scale / 2) * 2, Math.floor(h * scale / 2) * 2];
+}
+
 export function sanitizeFilename(filename) {
     return filename.replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
+// Single-quoted for a POSIX shell when it holds anything besides plain filename characters
+export function shellQuote(value) {
+    const text = String(value);
+    if (/^[a-zA-Z0-9_.,:=@%+\/-]+$/.test(text)) return text;
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
 export function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -47,6 +70,15 @@ export function debounce(func, wait) {
     };
 }
 
+// Resolves once the video has moved to the given time and its frame can be drawn
+export function seekVideoTo(video, time) {
+    return new Promise((resolve, reject) => {
+        video.addEventListener('seeked', resolve, { once: true });
+        video.addEventListener('error', reject, { once: true });
+        video.currentTime = time;
+    });
+}
+
 export function validateNumericInput(value, min = 0, max = Infinity) {
     if (value === '' || value === null || value === undefined) {
         return min;
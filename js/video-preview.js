@@ -1,6 +1,9 @@
-import { DEFAULTS, DOM_ELEMENTS } from './constants.js';
-import { formatTime, parseDimensions, debounce } from './utils.js';
+import { DEFAULTS, DOM_ELEMENTS, FIT_MODES } from './constants.js';
+import { formatTime, parseDimensions, debounce, fitWithin } from './utils.js';
 import { ErrorHandler } from './error-handler.js';
+import { getKeyframes, setKeyframes, upsertKeyframe, removeKeyframeNear, interpolateKeyframes } from './keyframes.js';
+import { getRegions, updateRegion, getActiveRegion, getRegionLayout, getRegionCropSize } from './regions.js';
+import { getActiveSourceId, getSceneSourceId } from './media-bin.js';
 
 export class VideoPreviewManager {
     constructor() {
@@ -11,10 +14,20 @@ export class VideoPreviewManager {
         this.displayHeight = 0;
         this.cropPercent = 50;
         this.cropPercentEnd = 50;
+        this.cropPercentY = 50;
+        this.cropPercentYEnd = 50;
+        this.zoom = 1;
+        this.zoomEnd = 1;
+        this.fitMode = FIT_MODES.CROP;
+        this.padColor = DEFAULTS.PAD_COLOR;
+        this.fitSourceRect = null;
         this.panMode = false;
         this.frameRate = DEFAULTS.DEFAULT_FRAME_RATE;
         this.selectedScene = null;
         this.loadedVideoFilename = '';
+        this.sourceVideos = {};
+        this.loadListeners = [];
+        this.cropListeners = [];
 
         this.init();
     }
@@ -37,6 +50,11 @@ export class VideoPreviewManager {
         document.querySelector(DOM_ELEMENTS.videoSeek).style.display = 'none';
         document.querySelector(DOM_ELEMENTS.videoControls).style.display = 'none';
         document.querySelector(DOM_ELEMENTS.sceneActions).style.display = 'none';
+        document.querySelector(DOM_ELEMENTS.keyframeMarkers).style.display = 'none';
+        document.querySelector(DOM_ELEMENTS.shotPanel).style.display = 'none';
+        document.querySelector(DOM_ELEMENTS.timeline).style.display = 'none';
+        document.querySelector(DOM_ELEMENTS.outputMonitor).style.display = 'none';
+        document.querySelector(DOM_ELEMENTS.audioPanel).style.display = 'none';
         
         // Clear video info
         document.querySelector(DOM_ELEMENTS.videoInfo).innerHTML = '';
@@ -54,8 +72,13 @@ export class VideoPreviewManager {
 
     loadVideo(event) {
         const file = event.target.files[0];
-        if (!file) return;
+        if (file) {
+            this.loadFile(file);
+        }
+    }
 
+    // Video of a source, shown right away when that source is the active one
+    loadFile(file, sourceId = getActiveSourceId()) {
         try {
             // Validate the video file
             ErrorHandler.validateFile(file, {
@@ -64,84 +87,151 @@ export class VideoPreviewManager {
                 requiredExtensions: ['.mp4', '.webm', '.ogg', '.avi', '.mov', '.mkv']
             });
 
-            const video = document.querySelector(DOM_ELEMENTS.previewVideo);
-            const url = URL.createObjectURL(file);
-            
+            // Each source keeps its own object URL so switching back needs no reload
+            this.forgetSource(sourceId);
+            this.sourceVideos[sourceId] = { url: URL.createObjectURL(file), name: file.name };
+
             // Clear any previous error states
             document.querySelector(DOM_ELEMENTS.videoFile).classList.remove('input-error');
-            
-            video.src = url;
-
-            video.onloadedmetadata = () => {
-                try {
-                    this.videoWidth = video.videoWidth;
-                    this.videoHeight = video.videoHeight;
-
-                    if (this.videoWidth === 0 || this.videoHeight === 0) {
-                        throw new Error('Invalid video dimensions. The file may be corrupted.');
-                    }
-
-                    // Update input dimensions
-                    document.querySelector(DOM_ELEMENTS.inDim).value = `${this.videoWidth}x${this.videoHeight}`;
-                    
-                    // Update input filename
-                    document.querySelector(DOM_ELEMENTS.inputName).value = file.name;
-                    this.loadedVideoFilename = file.name;
-
-                    // Show video elements
-                    document.querySelector(DOM_ELEMENTS.videoContainer).style.display = 'inline-block';
-                    document.querySelector(DOM_ELEMENTS.videoSeek).style.display = 'block';
-                    document.querySelector(DOM_ELEMENTS.videoControls).style.display = 'flex';
-                    document.querySelector(DOM_ELEMENTS.sceneActions).style.display = 'flex';
-
-                    // Set up seek bar
-                    const seekBar = document.querySelector(DOM_ELEMENTS.videoSeek);
-                    seekBar.max = video.duration;
-
-                    // Calculate display size
-                    const scale = Math.min(1, DEFAULTS.MAX_VIDEO_WIDTH / this.videoWidth);
-                    this.displayWidth = this.videoWidth * scale;
-                    this.displayHeight = this.videoHeight * scale;
-                    video.style.width = this.displayWidth + 'px';
-                    video.style.height = this.displayHeight + 'px';
-
-                    // Set up overlay canvas
-                    const overlay = document.querySelector(DOM_ELEMENTS.cropOverlay);
-                    overlay.width = this.displayWidth;
-                    overlay.height = this.displayHeight;
-                    overlay.style.width = this.displayWidth + 'px';
-                    overlay.style.height = this.displayHeight + 'px';
-
-                    document.querySelector(DOM_ELEMENTS.videoInfo).innerHTML = 
-                        `${this.videoWidth}×${this.videoHeight}, ${formatTime(video.duration)}`;
-                    document.querySelector(DOM_ELEMENTS.videoFile).style.border = '';
-
-                    this.videoLoaded = true;
-                    this.updateCropWindow();
-                    this.updateTimeDisplay();
-
-                    ErrorHandler.showSuccess(`Video loaded successfully: ${file.name}`);
-                } catch (error) {
-                    ErrorHandler.showError(`Failed to process video: ${error.message}`);
-                    this.resetVideoState();
+
+            if (sourceId === getActiveSourceId()) {
+                this.showVideo(this.sourceVideos[sourceId].url, file.name);
+            }
+        } catch (error) {
+            document.querySelector(DOM_ELEMENTS.videoFile).classList.add('input-error');
+            ErrorHandler.showError(`Video upload failed: ${error.message}`);
+        }
+    }
+
+    showVideo(url, fileName) {
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        this.videoLoaded = false;
+        video.src = url;
+
+        video.onloadedmetadata = () => {
+            try {
+                this.videoWidth = video.videoWidth;
+                this.videoHeight = video.videoHeight;
+
+                if (this.videoWidth === 0 || this.videoHeight === 0) {
+                    throw new Error('Invalid video dimensions. The file may be corrupted.');
                 }
-            };
 
-            video.onerror = (e) => {
-                ErrorHandler.showError('Failed to load video. The file may be corrupted or in an unsupported format.');
-                this.resetVideoState();
-            };
+                // Update input dimensions and filename of the active source
+                const inDim = document.querySelector(DOM_ELEMENTS.inDim);
+                const inputName = document.querySelector(DOM_ELEMENTS.inputName);
+                inDim.value = `${this.videoWidth}x${this.videoHeight}`;
+                inputName.value = fileName;
+                inDim.dispatchEvent(new Event('input'));
+                inputName.dispatchEvent(new Event('input'));
+                this.loadedVideoFilename = fileName;
+
+                // Show video elements
+                document.querySelector(DOM_ELEMENTS.videoContainer).style.display = 'inline-block';
+                document.querySelector(DOM_ELEMENTS.videoSeek).style.display = 'block';
+                document.querySelector(DOM_ELEMENTS.videoControls).style.display = 'flex';
+                document.querySelector(DOM_ELEMENTS.sceneActions).style.display = 'flex';
+                document.querySelector(DOM_ELEMENTS.keyframeMarkers).style.display = 'block';
+                document.querySelector(DOM_ELEMENTS.shotPanel).style.display = 'block';
+                document.querySelector(DOM_ELEMENTS.timeline).style.display = 'block';
+                document.querySelector(DOM_ELEMENTS.outputMonitor).style.display = 'inline-block';
+
+                // Set up seek bar
+                const seekBar = document.querySelector(DOM_ELEMENTS.videoSeek);
+                seekBar.max = video.duration;
+
+                // Calculate display size
+                const scale = Math.min(1, DEFAULTS.MAX_VIDEO_WIDTH / this.videoWidth);
+                this.displayWidth = this.videoWidth * scale;
+                this.displayHeight = this.videoHeight * scale;
+                video.style.width = this.displayWidth + 'px';
+                video.style.height = this.displayHeight + 'px';
+
+                // Set up overlay canvas
+                const overlay = document.querySelector(DOM_ELEMENTS.cropOverlay);
+                overlay.width = this.displayWidth;
+                overlay.height = this.displayHeight;
+                overlay.style.width = this.displayWidth + 'px';
+                overlay.style.height = this.displayHeight + 'px';
+
+                document.querySelector(DOM_ELEMENTS.videoInfo).innerHTML = 
+                    `${this.videoWidth}×${this.videoHeight}, ${formatTime(video.duration)}`;
+                document.querySelector(DOM_ELEMENTS.videoFile).style.border = '';
+
+                this.videoLoaded = true;
+                this.updateCropWindow();
+                this.updateTimeDisplay();
+                this.renderKeyframeMarkers();
 
-            video.ontimeupdate = () => {
-                if (!video.seeking) {
-                    document.querySelector(DOM_ELEMENTS.videoSeek).value = video.currentTime;
-                    this.updateTimeDisplay();
+                // Re-select so the scene waiting for this source jumps to its start
+                if (this.selectedScene) {
+                    this.selectScene(this.selectedScene);
                 }
-            };
 
-        } catch (error) {
-            document.querySelector(DOM_ELEMENTS.videoFile).classList.add('input-error');
-            ErrorHandler.showError(`Video upload failed: ${error.message}`);
+                ErrorHandler.showSuccess(`Video loaded successfully: ${fileName}`);
+                this.loadListeners.forEach(listener => listener({
+                    sourceId: getActiveSourceId(),
+                    name: fileName,
+                    width: this.videoWidth,
+                    height: this.videoHeight,
+                    duration: video.duration
+                }));
+            } catch (error) {
+                ErrorHandler.showError(`Failed to process video: ${error.message}`);
+                this.resetVideoState();
+            }
+        };
+
+        video.onerror = (e) => {
+            ErrorHandler.showError('Failed to load video. The file may be corrupted or in an unsupported format.');
+            this.resetVideoState();
+        };
+
+        video.ontimeupdate = () => {
+            if (!video.seeking) {
+                document.querySelector(DOM_ELEMENTS.videoSeek).value = video.currentTime;
+                this.updateTimeDisplay();
+            }
+            this.renderFitPreview();
+        };
+
+        video.onseeked = () => this.renderFitPreview();
+    }
+
+    // Called with { sourceId, name, width, height, duration } each time a video finishes loading
+    onVideoLoaded(listener) {
+        this.loadListeners.push(listener);
+    }
+
+    // Called each time the crop window is redrawn, after a drag, a scene selection or an output size change
+    onCropChanged(listener) {
+        this.cropListeners.push(listener);
+    }
+
+    // Show the stored video of a source, or ask for it when it has not been loaded yet
+    showSource(sourceId, fileName) {
+        if (this.selectedScene && getSceneSourceId(this.selectedScene) !== sourceId) {
+            this.selectScene(null);
+        }
+
+        const stored = this.sourceVideos[sourceId];
+        document.querySelector(DOM_ELEMENTS.videoFile).value = '';
+        if (stored) {
+            this.showVideo(stored.url, stored.name);
+            return;
+        }
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        video.pause();
+        video.removeAttribute('src');
+        this.resetVideoState();
+        document.querySelector(DOM_ELEMENTS.videoInfo).textContent = `Load ${fileName} to preview this source`;
+    }
+
+    forgetSource(sourceId) {
+        if (this.sourceVideos[sourceId]) {
+            URL.revokeObjectURL(this.sourceVideos[sourceId].url);
+            delete this.sourceVideos[sourceId];
         }
     }
 
@@ -160,27 +250,36 @@ export class VideoPreviewManager {
                 throw new Error('Invalid output dimensions');
             }
 
-            // Calculate crop dimensions in video space
-            const ratio = Math.min(this.videoHeight/outH, this.videoWidth/outW);
-            const cropH = ratio * outH;
-            const cropW = ratio * outW;
+            const { cropW, cropH } = this.getCropSize(outW, outH);
+
+            const isStack = this.fitMode === FIT_MODES.STACK;
+            const regions = isStack ? getRegions(this.selectedScene) : [];
+            const regionSizes = isStack
+                ? getRegionLayout(regions, outW, outH).slots.map(slot => getRegionCropSize(slot, this.videoWidth, this.videoHeight))
+                : [];
+            const activeRegion = isStack ? getActiveRegion(this.selectedScene) : -1;
 
             // Scale to display size
             const scale = this.displayWidth / this.videoWidth;
             const dispCropW = cropW * scale;
             const dispCropH = cropH * scale;
 
-            // Position start crop based on cropPercent
+            // Position start crop based on cropPercent/cropPercentY
             const maxX = this.displayWidth - dispCropW;
+            const maxY = this.displayHeight - dispCropH;
             const x = Math.max(0, Math.min(maxX, maxX * (this.cropPercent / 100)));
-            const y = (this.displayHeight - dispCropH) / 2;
-
-            cropWindow.style.width = dispCropW + 'px';
-            cropWindow.style.height = dispCropH + 'px';
-            cropWindow.style.left = x + 'px';
-            cropWindow.style.top = y + 'px';
+            const y = Math.max(0, Math.min(maxY, maxY * (this.cropPercentY / 100)));
+            const startRect = this.getZoomedRect(x, y, dispCropW, dispCropH, this.zoom);
+
+            this.positionCropElement(cropWindow, startRect);
+            this.fitSourceRect = {
+                x: startRect.x / scale,
+                y: startRect.y / scale,
+                w: startRect.w / scale,
+                h: startRect.h / scale
+            };
 
-            document.querySelector(DOM_ELEMENTS.cropDisplay).textContent = `Crop: ${this.cropPercent.toFixed(1)}%`;
+            document.querySelector(DOM_ELEMENTS.cropDisplay).textContent = this.formatCropLabel('Crop', this.cropPercent, this.cropPercentY, this.zoom);
 
             // Draw darkened overlay on canvas with holes for crop windows
             const overlay = document.querySelector(DOM_ELEMENTS.cropOverlay);
@@ -195,23 +294,55 @@ export class VideoPreviewManager {
             // Cut out holes for crop windows using destination-out blend mode
             ctx.globalCompositeOperation = 'destination-out';
             ctx.fillStyle = 'rgba(0, 0, 0, 1)';
-            ctx.fillRect(x, y, dispCropW, dispCropH);
+            ctx.fillRect(startRect.x, startRect.y, startRect.w, startRect.h);
+
+            // Cut out and number the other split screen regions
+            regions.forEach((region, i) => {
+                if (i === activeRegion) return;
+                const w = regionSizes[i].cropW * scale;
+                const h = regionSizes[i].cropH * scale;
+                const rx = (this.displayWidth - w) * (region.h / 100);
+                const ry = (this.displayHeight - h) * (region.v / 100);
+
+                ctx.globalCompositeOperation = 'destination-out';
+                ctx.fillRect(rx, ry, w, h);
+                ctx.globalCompositeOperation = 'source-over';
+                ctx.strokeStyle = 'rgba(23, 162, 184, 0.9)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(rx, ry, w, h);
+                ctx.fillStyle = 'rgba(23, 162, 184, 0.9)';
+                ctx.font = 'bold 14px sans-serif';
+                ctx.fillText(`${i + 1}`, rx + 6, ry + 18);
+                ctx.fillStyle = 'rgba(0, 0, 0, 1)';
+            });
+
+            // Outline the keyframed positions of the selected scene
+            const keyframes = getKeyframes(this.selectedScene);
+            if (keyframes.length > 0) {
+                ctx.strokeStyle = 'rgba(255, 193, 7, 0.9)';
+                ctx.setLineDash([4, 4]);
+                keyframes.forEach(kf => {
+                    const xKey = Math.max(0, Math.min(maxX, maxX * (kf.h / 100)));
+                    const yKey = Math.max(0, Math.min(maxY, maxY * (kf.v / 100)));
+                    ctx.strokeRect(xKey, yKey, dispCropW, dispCropH);
+                });
+                ctx.setLineDash([]);
+            }
 
             // Update end crop window if pan mode is on
             if (this.panMode) {
                 const xEnd = Math.max(0, Math.min(maxX, maxX * (this.cropPercentEnd / 100)));
-                cropWindowEnd.style.width = dispCropW + 'px';
-                cropWindowEnd.style.height = dispCropH + 'px';
-                cropWindowEnd.style.left = xEnd + 'px';
-                cropWindowEnd.style.top = y + 'px';
+                const yEnd = Math.max(0, Math.min(maxY, maxY * (this.cropPercentYEnd / 100)));
+                const endRect = this.getZoomedRect(xEnd, yEnd, dispCropW, dispCropH, this.zoomEnd);
+                this.positionCropElement(cropWindowEnd, endRect);
                 cropWindowEnd.style.display = 'block';
                 
                 // Cut out hole for end crop window
                 ctx.globalCompositeOperation = 'destination-out';
                 ctx.fillStyle = 'rgba(0, 0, 0, 1)';
-                ctx.fillRect(xEnd, y, dispCropW, dispCropH);
+                ctx.fillRect(endRect.x, endRect.y, endRect.w, endRect.h);
                 
-                document.querySelector(DOM_ELEMENTS.cropDisplayEnd).textContent = `End: ${this.cropPercentEnd.toFixed(1)}%`;
+                document.querySelector(DOM_ELEMENTS.cropDisplayEnd).textContent = this.formatCropLabel('End', this.cropPercentEnd, this.cropPercentYEnd, this.zoomEnd);
                 document.querySelector(DOM_ELEMENTS.cropDisplayEnd).style.display = 'inline';
             } else {
                 cropWindowEnd.style.display = 'none';
@@ -220,48 +351,208 @@ export class VideoPreviewManager {
             
             // Reset blend mode
             ctx.globalCompositeOperation = 'source-over';
+
+            this.renderFitPreview();
+            this.cropListeners.forEach(listener => listener());
         } catch (error) {
             console.error('Error updating crop window:', error);
             ErrorHandler.showError(`Failed to update crop preview: ${error.message}`);
         }
     }
 
+    // Size in video pixels of the crop window being edited: fit modes frame the whole video
+    // and split screen regions take the shape of their output slot
+    getCropSize(outW, outH) {
+        if (this.fitMode === FIT_MODES.PAD || this.fitMode === FIT_MODES.BLUR) {
+            return { cropW: this.videoWidth, cropH: this.videoHeight };
+        }
+
+        if (this.fitMode === FIT_MODES.STACK) {
+            const regions = getRegions(this.selectedScene);
+            const slot = getRegionLayout(regions, outW, outH).slots[getActiveRegion(this.selectedScene)];
+            if (slot) return getRegionCropSize(slot, this.videoWidth, this.videoHeight);
+        }
+
+        const ratio = Math.min(this.videoHeight/outH, this.videoWidth/outW);
+        return { cropW: ratio * outW, cropH: ratio * outH };
+    }
+
+    isEditingRegion() {
+        return this.fitMode === FIT_MODES.STACK && getRegions(this.selectedScene).length > 0;
+    }
+
+    // Thumbnail of the output frame for pad, blur-fill and split screen scenes, drawn from the current video frame
+    renderFitPreview() {
+        const canvas = document.querySelector(DOM_ELEMENTS.fitPreview);
+        if (!canvas) return;
+
+        if (!this.videoLoaded || this.fitMode === FIT_MODES.CROP || !this.fitSourceRect) {
+            canvas.style.display = 'none';
+            return;
+        }
+
+        const [outW, outH] = parseDimensions(document.querySelector(DOM_ELEMENTS.outDim).value);
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        canvas.height = DEFAULTS.FIT_PREVIEW_HEIGHT;
+        canvas.width = Math.round(DEFAULTS.FIT_PREVIEW_HEIGHT * outW / outH);
+        canvas.style.display = 'block';
+
+        const { width, height } = canvas;
+        const src = this.fitSourceRect;
+
+        if (this.fitMode === FIT_MODES.STACK) {
+            this.drawStackPreview(ctx, video, width / outW, outW, outH);
+            return;
+        }
+
+        if (this.fitMode === FIT_MODES.BLUR) {
+            // Cover the canvas with the full frame, as the blurred background does
+            const cover = Math.max(width / this.videoWidth, height / this.videoHeight);
+            const coverW = this.videoWidth * cover;
+            const coverH = this.videoHeight * cover;
+            ctx.filter = 'blur(4px)';
+            ctx.drawImage(video, (width - coverW) / 2, (height - coverH) / 2, coverW, coverH);
+            ctx.filter = 'none';
+        } else {
+            ctx.fillStyle = this.padColor;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        const [fitW, fitH] = fitWithin(src.w, src.h, width, height);
+        ctx.drawImage(video, src.x, src.y, src.w, src.h, (width - fitW) / 2, (height - fitH) / 2, fitW, fitH);
+    }
+
+    drawStackPreview(ctx, video, scale, outW, outH) {
+        const regions = getRegions(this.selectedScene);
+        const active = getActiveRegion(this.selectedScene);
+        const { filter, slots } = getRegionLayout(regions, outW, outH);
+        const vertical = filter === 'vstack';
+        let offset = 0;
+
+        regions.forEach((region, i) => {
+            const { cropW, cropH } = getRegionCropSize(slots[i], this.videoWidth, this.videoHeight);
+            // The active region follows the crop window while it is dragged
+            const h = i === active ? this.cropPercent : region.h;
+            const v = i === active ? this.cropPercentY : region.v;
+            const sx = (this.videoWidth - cropW) * h / 100;
+            const sy = (this.videoHeight - cropH) * v / 100;
+            const dx = vertical ? 0 : offset * scale;
+            const dy = vertical ? offset * scale : 0;
+
+            ctx.drawImage(video, sx, sy, cropW, cropH, dx, dy, slots[i].w * scale, slots[i].h * scale);
+            offset += vertical ? slots[i].h : slots[i].w;
+        });
+    }
+
+    // Zoom shrinks the crop window about the centre of its unzoomed position
+    getZoomedRect(x, y, w, h, zoom) {
+        const zw = w / zoom;
+        const zh = h / zoom;
+        return { x: x + (w - zw) / 2, y: y + (h - zh) / 2, w: zw, h: zh };
+    }
+
+    positionCropElement(el, rect) {
+        el.style.width = rect.w + 'px';
+        el.style.height = rect.h + 'px';
+        el.style.left = rect.x + 'px';
+        el.style.top = rect.y + 'px';
+    }
+
+    formatCropLabel(prefix, percent, percentY, zoom) {
+        const zoomLabel = zoom !== 1 ? ` @ ${zoom.toFixed(2)}×` : '';
+        return `${prefix}: ${percent.toFixed(1)}% × ${percentY.toFixed(1)}%${zoomLabel}`;
+    }
+
     setupCropWindowDragging() {
         const cropWindow = document.querySelector(DOM_ELEMENTS.cropWindow);
         const cropWindowEnd = document.querySelector(DOM_ELEMENTS.cropWindowEnd);
         let isDragging = false;
         let isDraggingEnd = false;
-        let startX, startCropPercent;
+        let resizing = null; // 'start' or 'end' while a resize handle is held
+        let startX, startY, startCropPercent, startCropPercentY;
+
+        const startResize = (e, isEnd = false) => {
+            resizing = isEnd ? 'end' : 'start';
+            e.stopPropagation();
+            e.preventDefault();
+        };
+
+        const handleResize = (e) => {
+            const [outW, outH] = parseDimensions(document.querySelector(DOM_ELEMENTS.outDim).value);
+            const { cropW, cropH } = this.getCropSize(outW, outH);
+            const scale = this.displayWidth / this.videoWidth;
+            const dispCropW = cropW * scale;
+            const dispCropH = cropH * scale;
+            const maxX = this.displayWidth - dispCropW;
+            const maxY = this.displayHeight - dispCropH;
+            const percent = resizing === 'end' ? this.cropPercentEnd : this.cropPercent;
+            const percentY = resizing === 'end' ? this.cropPercentYEnd : this.cropPercentY;
+
+            // Resize symmetrically about the window centre
+            const rect = document.querySelector(DOM_ELEMENTS.videoContainer).getBoundingClientRect();
+            const centerX = rect.left + maxX * (percent / 100) + dispCropW / 2;
+            const centerY = rect.top + maxY * (percentY / 100) + dispCropH / 2;
+            const halfW = Math.max(1, Math.abs(e.clientX - centerX));
+            const halfH = Math.max(1, Math.abs(e.clientY - centerY));
+            const zoom = Math.min(dispCropW / (2 * halfW), dispCropH / (2 * halfH));
+            const clamped = Math.max(1, Math.min(DEFAULTS.MAX_ZOOM, zoom));
+
+            if (resizing === 'end') {
+                this.zoomEnd = clamped;
+            } else {
+                // The end zoom follows until it is set apart, as the scene's End Zoom field does
+                if (this.zoomEnd === this.zoom) this.zoomEnd = clamped;
+                this.zoom = clamped;
+            }
+
+            this.updateCropWindow();
+        };
 
         const startDrag = (e, isEnd = false) => {
             if (isEnd) {
                 isDraggingEnd = true;
                 startCropPercent = this.cropPercentEnd;
+                startCropPercentY = this.cropPercentYEnd;
             } else {
                 isDragging = true;
                 startCropPercent = this.cropPercent;
+                startCropPercentY = this.cropPercentY;
             }
             startX = e.clientX;
+            startY = e.clientY;
             e.preventDefault();
         };
 
         const handleDrag = (e) => {
+            if (resizing && this.videoLoaded) {
+                handleResize(e);
+                return;
+            }
             if ((!isDragging && !isDraggingEnd) || !this.videoLoaded) return;
 
             const [outW, outH] = parseDimensions(document.querySelector(DOM_ELEMENTS.outDim).value);
-            const ratio = Math.min(this.videoHeight/outH, this.videoWidth/outW);
-            const cropW = ratio * outW;
+            const { cropW, cropH } = this.getCropSize(outW, outH);
             const scale = this.displayWidth / this.videoWidth;
             const dispCropW = cropW * scale;
+            const dispCropH = cropH * scale;
             const maxX = this.displayWidth - dispCropW;
+            const maxY = this.displayHeight - dispCropH;
 
+            // An axis without slack keeps its percentage
             const dx = e.clientX - startX;
-            const deltaPercent = (dx / maxX) * 100;
+            const dy = e.clientY - startY;
+            const deltaPercent = maxX > 0 ? (dx / maxX) * 100 : 0;
+            const deltaPercentY = maxY > 0 ? (dy / maxY) * 100 : 0;
             
             if (isDragging) {
                 this.cropPercent = Math.max(0, Math.min(100, startCropPercent + deltaPercent));
+                this.cropPercentY = Math.max(0, Math.min(100, startCropPercentY + deltaPercentY));
             } else if (isDraggingEnd) {
                 this.cropPercentEnd = Math.max(0, Math.min(100, startCropPercent + deltaPercent));
+                this.cropPercentYEnd = Math.max(0, Math.min(100, startCropPercentY + deltaPercentY));
             }
 
             this.updateCropWindow();
@@ -270,10 +561,17 @@ export class VideoPreviewManager {
         const endDrag = () => {
             isDragging = false;
             isDraggingEnd = false;
+            resizing = null;
         };
 
         cropWindow?.addEventListener('mousedown', (e) => startDrag(e, false));
         cropWindowEnd?.addEventListener('mousedown', (e) => startDrag(e, true));
+        cropWindow?.querySelectorAll('.crop-resize-handle').forEach(handle => {
+            handle.addEventListener('mousedown', (e) => startResize(e, false));
+        });
+        cropWindowEnd?.querySelectorAll('.crop-resize-handle').forEach(handle => {
+            handle.addEventListener('mousedown', (e) => startResize(e, true));
+        });
         document.addEventListener('mousemove', handleDrag);
         document.addEventListener('mouseup', endDrag);
     }
@@ -323,9 +621,16 @@ export class VideoPreviewManager {
             
             if (manual) {
                 this.cropPercentEnd = this.cropPercent;
+                this.cropPercentYEnd = this.cropPercentY;
             }
             
-            if (manual && this.selectedScene) {
+            if (manual && this.isEditingRegion()) {
+                updateRegion(this.selectedScene, getActiveRegion(this.selectedScene), {
+                    pan: true,
+                    hEnd: this.cropPercentEnd,
+                    vEnd: this.cropPercentYEnd
+                });
+            } else if (manual && this.selectedScene) {
                 const panToggle = this.selectedScene.querySelector('.panToggle');
                 if (!panToggle.checked) {
                     panToggle.checked = true;
@@ -338,7 +643,9 @@ export class VideoPreviewManager {
             btn.style.background = '#007bff';
             setEndBtn.style.display = 'none';
             
-            if (manual && this.selectedScene) {
+            if (manual && this.isEditingRegion()) {
+                updateRegion(this.selectedScene, getActiveRegion(this.selectedScene), { pan: false });
+            } else if (manual && this.selectedScene) {
                 const panToggle = this.selectedScene.querySelector('.panToggle');
                 if (panToggle.checked) {
                     panToggle.checked = false;
@@ -360,6 +667,14 @@ export class VideoPreviewManager {
         if (sceneEl) {
             sceneEl.classList.add('selected');
             this.selectedScene = sceneEl;
+
+            // Scenes cut from another source bring their video into the preview
+            const sourceId = getSceneSourceId(sceneEl);
+            if (sourceId !== getActiveSourceId()) {
+                const picker = document.querySelector(DOM_ELEMENTS.activeSource);
+                picker.value = sourceId;
+                picker.dispatchEvent(new Event('change'));
+            }
             
             // Jump video to scene start time
             if (this.videoLoaded) {
@@ -370,13 +685,42 @@ export class VideoPreviewManager {
                 // Set crop position from scene
                 const hCrop = parseFloat(sceneEl.querySelector('.hCrop').value) || 50;
                 this.cropPercent = hCrop;
+
+                const vCrop = parseFloat(sceneEl.querySelector('.vCrop').value);
+                this.cropPercentY = isNaN(vCrop) ? 50 : vCrop;
+
+                // Keyframed scenes start where their path starts
+                const keyed = this.getKeyframedCrop();
+                if (keyed !== null) {
+                    this.cropPercent = keyed.h;
+                    this.cropPercentY = keyed.v;
+                }
                 
                 // Set end crop position from scene
                 const hCropEnd = parseFloat(sceneEl.querySelector('.hCropEnd').value) || hCrop;
                 this.cropPercentEnd = hCropEnd;
+
+                const vCropEnd = parseFloat(sceneEl.querySelector('.vCropEnd').value);
+                this.cropPercentYEnd = isNaN(vCropEnd) ? this.cropPercentY : vCropEnd;
+
+                this.zoom = parseFloat(sceneEl.querySelector('.zoom').value) || 1;
+                this.zoomEnd = parseFloat(sceneEl.querySelector('.zoomEnd').value) || this.zoom;
+                this.fitMode = sceneEl.querySelector('.fitMode').value;
+                this.padColor = sceneEl.querySelector('.padColor').value;
+
+                // Split screen scenes edit their active region instead of the scene crop
+                const region = this.fitMode === FIT_MODES.STACK ? getRegions(sceneEl)[getActiveRegion(sceneEl)] : null;
+                if (region) {
+                    this.cropPercent = region.h;
+                    this.cropPercentY = region.v;
+                    this.cropPercentEnd = region.hEnd;
+                    this.cropPercentYEnd = region.vEnd;
+                    this.zoom = 1;
+                    this.zoomEnd = 1;
+                }
                 
                 // Check if scene has pan enabled and update preview accordingly
-                const isPan = sceneEl.querySelector('.panToggle').checked;
+                const isPan = region ? region.pan : sceneEl.querySelector('.panToggle').checked;
                 if (isPan !== this.panMode) {
                     this.togglePanMode(false);
                 }
@@ -386,6 +730,8 @@ export class VideoPreviewManager {
         } else {
             this.selectedScene = null;
         }
+
+        this.renderKeyframeMarkers();
     }
 
     setSceneStart() {
@@ -432,11 +778,27 @@ export class VideoPreviewManager {
             return;
         }
         
+        if (this.isEditingRegion()) {
+            updateRegion(this.selectedScene, getActiveRegion(this.selectedScene), {
+                h: +this.cropPercent.toFixed(1),
+                v: +this.cropPercentY.toFixed(1)
+            });
+            return;
+        }
+
         const hCropInput = this.selectedScene.querySelector('.hCrop');
         hCropInput.value = this.cropPercent.toFixed(1);
+
+        const vCropInput = this.selectedScene.querySelector('.vCrop');
+        vCropInput.value = this.cropPercentY.toFixed(1);
+
+        const zoomInput = this.selectedScene.querySelector('.zoom');
+        zoomInput.value = this.zoom.toFixed(2);
         
         // Trigger update event
         hCropInput.dispatchEvent(new Event('input'));
+        vCropInput.dispatchEvent(new Event('input'));
+        zoomInput.dispatchEvent(new Event('input'));
     }
 
     setSceneCropEnd() {
@@ -445,10 +807,102 @@ export class VideoPreviewManager {
             return;
         }
         
+        if (this.isEditingRegion()) {
+            updateRegion(this.selectedScene, getActiveRegion(this.selectedScene), {
+                hEnd: +this.cropPercentEnd.toFixed(1),
+                vEnd: +this.cropPercentYEnd.toFixed(1)
+            });
+            return;
+        }
+
         const hCropEndInput = this.selectedScene.querySelector('.hCropEnd');
         hCropEndInput.value = this.cropPercentEnd.toFixed(1);
+
+        const vCropEndInput = this.selectedScene.querySelector('.vCropEnd');
+        vCropEndInput.value = this.cropPercentYEnd.toFixed(1);
+
+        const zoomEndInput = this.selectedScene.querySelector('.zoomEnd');
+        zoomEndInput.value = this.zoomEnd.toFixed(2);
         
         // Trigger update event
         hCropEndInput.dispatchEvent(new Event('input'));
+        vCropEndInput.dispatchEvent(new Event('input'));
+        zoomEndInput.dispatchEvent(new Event('input'));
+    }
+
+    addCropKeyframe() {
+        if (!this.videoLoaded || !this.selectedScene) {
+            alert('Please load a video and click on a scene to select it first.');
+            return;
+        }
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const start = parseFloat(this.selectedScene.querySelector('.start').value) || 0;
+        const end = parseFloat(this.selectedScene.querySelector('.end').value) || 0;
+        const time = +video.currentTime.toFixed(3);
+
+        if (time < start || time > end) {
+            alert(`Keyframes must lie within the scene (${start.toFixed(2)}s - ${end.toFixed(2)}s).`);
+            return;
+        }
+
+        const keyframes = upsertKeyframe(getKeyframes(this.selectedScene), {
+            time,
+            h: +this.cropPercent.toFixed(1),
+            v: +this.cropPercentY.toFixed(1)
+        }, 1 / this.frameRate);
+        setKeyframes(this.selectedScene, keyframes);
+    }
+
+    removeCropKeyframe() {
+        if (!this.videoLoaded || !this.selectedScene) {
+            alert('Please load a video and click on a scene to select it first.');
+            return;
+        }
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const keyframes = getKeyframes(this.selectedScene);
+        const remaining = removeKeyframeNear(keyframes, video.currentTime, 1 / this.frameRate);
+
+        if (remaining.length === keyframes.length) {
+            alert('No keyframe at the current time. Click a marker to jump to one.');
+            return;
+        }
+
+        setKeyframes(this.selectedScene, remaining);
+    }
+
+    renderKeyframeMarkers() {
+        const container = document.querySelector(DOM_ELEMENTS.keyframeMarkers);
+        if (!container) return;
+        container.innerHTML = '';
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        if (!this.videoLoaded || !this.selectedScene || !video.duration) return;
+
+        getKeyframes(this.selectedScene).forEach(kf => {
+            const marker = document.createElement('div');
+            marker.className = kf.auto ? 'keyframe-marker auto' : 'keyframe-marker';
+            marker.style.left = `${(kf.time / video.duration) * 100}%`;
+            marker.title = `${formatTime(kf.time)} - Crop ${kf.h.toFixed(1)}% × ${kf.v.toFixed(1)}%${kf.auto ? ' (suggested)' : ''}`;
+            marker.addEventListener('click', () => {
+                video.currentTime = kf.time;
+                this.cropPercent = kf.h;
+                this.cropPercentY = kf.v;
+                this.updateTimeDisplay();
+                this.updateCropWindow();
+            });
+            container.appendChild(marker);
+        });
+    }
+
+    // Crop percentages { h, v } the selected scene's keyframes give at the current time
+    getKeyframedCrop() {
+        const keyframes = getKeyframes(this.selectedScene);
+        if (keyframes.length === 0) return null;
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const method = this.selectedScene.querySelector('.panMethod').value;
+        return interpolateKeyframes(keyframes, video.currentTime, method);
     }
 }
\ No newline at end of file
@@ -0,0 +1,226 @@
+import { DEFAULTS, DOM_ELEMENTS } from './constants.js';
+import { ErrorHandler } from './error-handler.js';
+import { formatTime } from './utils.js';
+import { getActiveSourceId } from './media-bin.js';
+
+// Audio of a video file decoded at a low sample rate, which is plenty for levels and keeps
+// long sources small, reduced to { bucketDuration, peaks, rms } with one value per bucket
+export async function decodeAudioLevels(url) {
+    const response = await fetch(url);
+    const context = new OfflineAudioContext(1, 1, DEFAULTS.WAVEFORM_SAMPLE_RATE);
+    const audio = await context.decodeAudioData(await response.arrayBuffer());
+
+    const bucketSize = Math.max(1, Math.round(audio.sampleRate * DEFAULTS.WAVEFORM_BUCKET));
+    const count = Math.ceil(audio.length / bucketSize);
+    const peaks = new Float32Array(count);
+    const rms = new Float32Array(count);
+    const channels = Array.from({ length: audio.numberOfChannels }, (_, i) => audio.getChannelData(i));
+
+    for (let bucket = 0; bucket < count; bucket++) {
+        const from = bucket * bucketSize;
+        const to = Math.min(audio.length, from + bucketSize);
+        let peak = 0;
+        let sum = 0;
+        for (let i = from; i < to; i++) {
+            // Channels are mixed down
+            let sample = 0;
+            channels.forEach(data => { sample += data[i]; });
+            sample /= channels.length;
+            peak = Math.max(peak, Math.abs(sample));
+            sum += sample * sample;
+        }
+        peaks[bucket] = peak;
+        rms[bucket] = Math.sqrt(sum / (to - from));
+    }
+
+    return { bucketDuration: bucketSize / audio.sampleRate, peaks, rms };
+}
+
+// Silent stretches as [{ start, end }] in seconds: runs of buckets whose level stays under
+// thresholdDb for at least minLength seconds
+export function findSilences({ bucketDuration, rms }, thresholdDb, minLength) {
+    const threshold = Math.pow(10, thresholdDb / 20);
+    const silences = [];
+    let runStart = -1;
+
+    for (let bucket = 0; bucket <= rms.length; bucket++) {
+        const silent = bucket < rms.length && rms[bucket] < threshold;
+        if (silent && runStart === -1) {
+            runStart = bucket;
+        } else if (!silent && runStart !== -1) {
+            if ((bucket - runStart) * bucketDuration >= minLength) {
+                silences.push({ start: runStart * bucketDuration, end: bucket * bucketDuration });
+            }
+            runStart = -1;
+        }
+    }
+
+    return silences;
+}
+
+// The stretches between silences, within 0..duration
+export function getSoundSegments(silences, duration) {
+    const segments = [];
+    let start = 0;
+    silences.forEach(silence => {
+        if (silence.start > start) segments.push({ start, end: silence.start });
+        start = Math.max(start, silence.end);
+    });
+    if (duration > start) segments.push({ start, end: duration });
+    return segments;
+}
+
+// Waveform of the previewed video's audio drawn along the seek bar, with its silences shaded.
+// Decoding holds the whole file and its sound in memory, so it only happens when asked for, once
+// per loaded file. Splitting gives the active clip one scene per stretch of sound in that file
+export class WaveformManager {
+    constructor(videoPreview, sceneManager, tabManager) {
+        this.videoPreview = videoPreview;
+        this.sceneManager = sceneManager;
+        this.tabManager = tabManager;
+        this.levels = {};
+        this.silences = [];
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.videoPreview.onVideoLoaded(() => this.showPanel());
+    }
+
+    setupEventListeners() {
+        [DOM_ELEMENTS.silenceThreshold, DOM_ELEMENTS.silenceMinLength].forEach(selector => {
+            document.querySelector(selector)?.addEventListener('input', () => this.detectSilences());
+        });
+
+        document.querySelector(DOM_ELEMENTS.waveform)?.addEventListener('click', (e) => {
+            const rect = e.currentTarget.getBoundingClientRect();
+            const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+            if (!rect.width || !video.duration) return;
+            this.videoPreview.seekVideo(((e.clientX - rect.left) / rect.width) * video.duration);
+        });
+    }
+
+    // The waveform of a file decoded earlier comes straight back; others wait for Load Waveform
+    showPanel() {
+        if (!window.OfflineAudioContext) return;
+
+        const levels = this.getLevels();
+        document.querySelector(DOM_ELEMENTS.audioPanel).style.display = 'block';
+        document.querySelector(DOM_ELEMENTS.loadWaveformBtn).style.display = levels ? 'none' : '';
+        document.querySelector(DOM_ELEMENTS.waveform).style.display = levels ? 'block' : 'none';
+        document.querySelector(DOM_ELEMENTS.silenceInfo).textContent = '';
+        if (levels) this.detectSilences();
+    }
+
+    async loadAudio() {
+        const sourceId = getActiveSourceId();
+        const stored = this.videoPreview.sourceVideos[sourceId];
+        const button = document.querySelector(DOM_ELEMENTS.loadWaveformBtn);
+        if (!stored || !this.videoPreview.videoLoaded || this.loading) return;
+
+        this.loading = true;
+        button.disabled = true;
+        button.textContent = '⏳ Reading audio…';
+        try {
+            this.levels[sourceId] = { url: stored.url, ...await decodeAudioLevels(stored.url) };
+        } catch (error) {
+            console.warn(`No audio decoded from ${stored.name}:`, error);
+            ErrorHandler.showError(`No audio could be read from ${stored.name}`);
+        } finally {
+            this.loading = false;
+            button.disabled = false;
+            button.textContent = '〰 Load Waveform';
+        }
+
+        // Another source may have been shown while this one decoded
+        if (sourceId === getActiveSourceId()) this.showPanel();
+    }
+
+    getLevels() {
+        const levels = this.levels[getActiveSourceId()];
+        return this.videoPreview.videoLoaded && levels?.url === this.videoPreview.sourceVideos[getActiveSourceId()]?.url ? levels : null;
+    }
+
+    readSettings() {
+        const threshold = parseFloat(document.querySelector(DOM_ELEMENTS.silenceThreshold).value);
+        const minLength = parseFloat(document.querySelector(DOM_ELEMENTS.silenceMinLength).value);
+        return {
+            threshold: isNaN(threshold) ? DEFAULTS.SILENCE_THRESHOLD : Math.min(0, threshold),
+            minLength: isNaN(minLength) ? DEFAULTS.SILENCE_MIN_LENGTH : Math.max(0, minLength)
+        };
+    }
+
+    detectSilences() {
+        const levels = this.getLevels();
+        if (!levels) return;
+
+        const { threshold, minLength } = this.readSettings();
+        this.silences = findSilences(levels, threshold, minLength);
+        const total = this.silences.reduce((sum, silence) => sum + silence.end - silence.start, 0);
+        document.querySelector(DOM_ELEMENTS.silenceInfo).textContent =
+            `${this.silences.length} silences, ${formatTime(total)} in total`;
+        this.render();
+    }
+
+    render() {
+        const canvas = document.querySelector(DOM_ELEMENTS.waveform);
+        const levels = this.getLevels();
+        if (!canvas || !levels) return;
+
+        const width = canvas.clientWidth || DEFAULTS.MAX_VIDEO_WIDTH;
+        const height = DEFAULTS.WAVEFORM_HEIGHT;
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const duration = levels.peaks.length * levels.bucketDuration;
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.fillStyle = 'rgba(220, 53, 69, 0.25)';
+        this.silences.forEach(({ start, end }) => {
+            ctx.fillRect((start / duration) * width, 0, ((end - start) / duration) * width, height);
+        });
+
+        // One bar per pixel, as tall as the loudest bucket under it
+        const middle = height / 2;
+        const bucketsPerPixel = levels.peaks.length / width;
+        ctx.fillStyle = '#007bff';
+        for (let x = 0; x < width; x++) {
+            const from = Math.floor(x * bucketsPerPixel);
+            const to = Math.max(from + 1, Math.floor((x + 1) * bucketsPerPixel));
+            let peak = 0;
+            for (let i = from; i < to && i < levels.peaks.length; i++) {
+                peak = Math.max(peak, levels.peaks[i]);
+            }
+            const barHeight = Math.max(1, peak * middle);
+            ctx.fillRect(x, middle - barHeight, 1, barHeight * 2);
+        }
+
+        // Threshold, mirrored around the middle
+        const level = Math.pow(10, this.readSettings().threshold / 20) * middle;
+        ctx.fillStyle = '#dc3545';
+        ctx.fillRect(0, middle - level, width, 1);
+        ctx.fillRect(0, middle + level, width, 1);
+    }
+
+    splitAtSilences() {
+        const tabId = this.tabManager.getActiveTab();
+        const levels = this.getLevels();
+        if (!levels || !tabId) {
+            alert('Please load the waveform of a video with sound first.');
+            return;
+        }
+
+        const video = document.querySelector(DOM_ELEMENTS.previewVideo);
+        const segments = getSoundSegments(this.silences, video.duration);
+        if (segments.length === 0) {
+            ErrorHandler.showError('The whole video is below the silence threshold.');
+            return;
+        }
+
+        const count = this.sceneManager.splitScenes(tabId, segments, 'Split at silences');
+        ErrorHandler.showSuccess(`Split into ${count} scenes at silences`);
+    }
+}